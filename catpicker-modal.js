@@ -49,6 +49,12 @@
         
         <!-- Pagination controls -->
         <div id="catpickerPager" class="catpicker-pager"></div>
+
+        <!-- One-off choice: set this transaction only, without adding a rule -->
+        <label class="catpicker-oneoff" id="catpickerOneOffRow">
+          <input type="checkbox" id="catpickerOneOff" />
+          This transaction only (don't add a rule)
+        </label>
       </div>
       
       <!-- Modal Actions (buttons) -->
@@ -112,8 +118,16 @@
       if (name === picked) div.setAttribute('aria-selected', 'true');
       
       // Category name
+      // Nested categories (PARENT:CHILD) are shown as a tree: indented, child name only
+      // While searching, the full path is shown so each result makes sense on its own
+      const path = name.split(':');
+      const depth = filteredCategories === allCategories ? path.length - 1 : 0;
       const span = document.createElement('span');
-      span.textContent = name;
+      span.textContent = depth ? path[path.length - 1] : path.join(' › ');
+      if (depth) {
+        div.classList.add('catpicker-child');
+        div.style.paddingLeft = `${16 + depth * 24}px`;
+      }
       
       // Badge (currently empty, could show usage count)
       const badge = document.createElement('span');
@@ -248,9 +262,11 @@
    * @param {Object} options - Configuration object
    * @param {Array} options.categories - Array of category names to choose from
    * @param {string} options.current - Currently selected category
-   * @param {Function} options.onChoose - Callback function when user chooses a category
+   * @param {Function} options.onChoose - Callback function when user chooses a category,
+   *   called as onChoose(category, {oneOff}) where oneOff is the checkbox state
+   * @param {boolean} options.allowOneOff - Show the "This transaction only" checkbox
    */
-  function openCategoryPicker({categories, current, onChoose}) {
+  function openCategoryPicker({categories, current, onChoose, allowOneOff = false}) {
     // Ensure modal exists in the DOM
     ensureModal();
     
@@ -260,6 +276,11 @@
     const list = document.getElementById('catpickerList');
     const btnUse = document.getElementById('catpickerUse');
     const btnCancel = document.getElementById('catpickerCancel');
+    const oneOff = document.getElementById('catpickerOneOff');
+
+    // The one-off checkbox only appears when the caller supports it
+    document.getElementById('catpickerOneOffRow').style.display = allowOneOff ? '' : 'none';
+    oneOff.checked = false;
 
     // Store categories and reset to page 1
     allCategories = Array.from(new Set(
@@ -326,7 +347,7 @@
       const selected = (document.querySelector('.catpicker-item[aria-selected="true"]')?.dataset.name) || current;
       
       // Call the callback function with selected category
-      onChoose && onChoose(selected);
+      onChoose && onChoose(selected, { oneOff: allowOneOff && oneOff.checked });
       
       // Close modal
       close();
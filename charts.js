@@ -0,0 +1,312 @@
+// ============================================================================
+// CHARTS - Donut, Stacked Bar and Line Charts Drawn as SVG
+// ============================================================================
+// This module draws the spending charts without any chart library. Each chart
+// is built as an SVG string and put into a container element. script.js works
+// out the numbers; this module only draws them.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - IIFE (Immediately Invoked Function Expression): The (function(){...})() pattern
+//   creates a private scope so our variables don't pollute the global namespace
+// - SVG: Shapes described in markup. The viewBox sets our own coordinate system,
+//   and the browser scales it to fit the page
+// - Event Delegation: One click handler on the container works out which
+//   segment was clicked from its data-key attribute
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // CONFIGURATION
+  // ============================================================================
+
+  // Segment colours, in order (the app's pink and purple first)
+  const PALETTE = [
+    '#ff4fb3', '#7a5cff', '#00c2ff', '#ffb000', '#2ecc71',
+    '#ff6b4a', '#3d7bff', '#c44fff', '#00b3a4', '#8d99ae'
+  ];
+
+  // Size of the bar and line charts (in viewBox units)
+  const CHART_HEIGHT = 220;
+  const AXIS_WIDTH = 56;        // Room for the amounts on the left
+  const LABEL_HEIGHT = 28;      // Room for the month names underneath
+  const COLUMN_WIDTH = 44;      // Width given to each month
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Gets a colour from the palette (wraps round after the last one)
+   * @param {number} i - Position in the list
+   * @returns {string} CSS colour
+   */
+  function colorAt(i) {
+    return PALETTE[i % PALETTE.length];
+  }
+
+  /**
+   * Escapes text for use inside SVG markup
+   * @param {string} s - Text
+   * @returns {string} Safe text
+   */
+  function esc(s) {
+    return String(s ?? '').replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]));
+  }
+
+  /**
+   * Formats an amount for labels and tooltips
+   * @param {number} n - Amount
+   * @returns {string} Amount with 2 decimals
+   */
+  function money(n) {
+    return n.toFixed(2);
+  }
+
+  /**
+   * Works out the attributes that make a segment clickable
+   * Segments without a key (like "Other") aren't clickable
+   * @param {string} key - Value passed to onSelect
+   * @param {string} extraClass - More classes, e.g. ' selected' (optional)
+   * @returns {string} Attributes to add to the SVG shape
+   */
+  function segmentAttrs(key, extraClass = '') {
+    if (!key) return `class="chart-seg${extraClass}"`;
+    return `class="chart-seg clickable${extraClass}" data-key="${esc(key)}" tabindex="0" role="button"`;
+  }
+
+  /**
+   * Calls onSelect when a segment is clicked (or Enter is pressed on it)
+   * Assigning onclick/onkeydown replaces the old handlers on each redraw
+   * @param {HTMLElement} el - Chart container
+   * @param {Function} onSelect - Called with the segment's key
+   */
+  function wireClicks(el, onSelect) {
+    const pick = (e) => {
+      const seg = e.target.closest('[data-key]');
+      if (seg && onSelect) onSelect(seg.getAttribute('data-key'));
+    };
+    el.onclick = pick;
+    el.onkeydown = (e) => { if (e.key === 'Enter') pick(e); };
+  }
+
+  /**
+   * Picks round numbers for the amount axis
+   * @param {number} min - Lowest value to show (0 or less)
+   * @param {number} max - Highest value to show (0 or more)
+   * @returns {Object} {min, max, ticks} with the ticks evenly spaced
+   */
+  function niceScale(min, max) {
+    const span = max - min || 1;
+    const rough = span / 4;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 2.5, 5, 10].map(f => f * power).find(s => s >= rough);
+
+    const lo = Math.floor(min / step) * step;
+    const hi = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let v = lo; v <= hi + step / 2; v += step) ticks.push(Math.round(v * 100) / 100);
+    return { min: lo, max: hi, ticks };
+  }
+
+  /**
+   * Makes the function that turns an amount into a y position
+   * (SVG y counts down from the top, so bigger amounts get smaller y)
+   * @param {Object} scale - From niceScale
+   * @param {number} bottom - y position of the lowest tick
+   * @returns {Function} Amount -> y position
+   */
+  function yPosition(scale, bottom) {
+    const usable = bottom - 10;   // Leave a little room above the highest tick
+    return (v) => Math.round((bottom - (v - scale.min) / (scale.max - scale.min) * usable) * 100) / 100;
+  }
+
+  /**
+   * Draws the amount axis: a faint line and a label for each tick
+   * @param {Object} scale - From niceScale
+   * @param {Function} y - Turns an amount into a y position
+   * @param {number} width - Width of the whole chart
+   * @returns {string} SVG markup
+   */
+  function axisSvg(scale, y, width) {
+    return scale.ticks.map(v => `
+      <line class="chart-grid${v === 0 ? ' zero' : ''}" x1="${AXIS_WIDTH}" x2="${width}" y1="${y(v)}" y2="${y(v)}"></line>
+      <text class="chart-axis" x="${AXIS_WIDTH - 6}" y="${y(v) + 4}" text-anchor="end">${esc(v.toLocaleString())}</text>`).join('');
+  }
+
+  // ============================================================================
+  // DONUT CHART
+  // ============================================================================
+
+  /**
+   * Builds the SVG path for one slice of the donut
+   * @param {number} start - Start angle (0 to 1, clockwise from the top)
+   * @param {number} end - End angle (0 to 1)
+   * @returns {string} Path data
+   */
+  function slicePath(start, end) {
+    const cx = 100, cy = 100, outer = 90, inner = 56;
+    const point = (r, a) => {
+      const rad = (a * 2 * Math.PI) - Math.PI / 2;
+      return `${(cx + r * Math.cos(rad)).toFixed(2)} ${(cy + r * Math.sin(rad)).toFixed(2)}`;
+    };
+    const large = end - start > 0.5 ? 1 : 0;
+
+    return `M ${point(outer, start)} A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} ` +
+           `L ${point(inner, end)} A ${inner} ${inner} 0 ${large} 0 ${point(inner, start)} Z`;
+  }
+
+  /**
+   * Draws a donut chart of how a total splits between categories
+   * @param {HTMLElement} el - Container to draw into
+   * @param {Array} slices - [{key, label, value, color}] with positive values
+   * @param {Object} options - Configuration object
+   * @param {string} options.selected - Key of the slice to highlight (optional)
+   * @param {string} options.empty - Message when there's nothing to show
+   * @param {Function} options.onSelect - Called with the key of the clicked slice
+   */
+  function donut(el, slices, { selected = '', empty = 'Nothing to show.', onSelect } = {}) {
+    const total = slices.reduce((sum, s) => sum + s.value, 0);
+    if (!(total > 0)) {
+      el.innerHTML = `<p class="muted">${esc(empty)}</p>`;
+      return;
+    }
+
+    let svg = '';
+    let legend = '';
+    let start = 0;
+
+    slices.forEach((s, i) => {
+      const color = s.color || colorAt(i);
+      const share = s.value / total;
+      // A full circle can't be one arc, so a lone slice stops just short
+      const end = Math.min(start + share, 0.99999);
+      const tip = `${s.label}: ${money(s.value)} (${(share * 100).toFixed(1)}%)`;
+      const sel = s.key && s.key === selected ? ' selected' : '';
+
+      svg += `<path ${segmentAttrs(s.key, sel)} d="${slicePath(start, end)}" fill="${color}"><title>${esc(tip)}</title></path>`;
+      legend += `<li class="chart-legend-item${sel}" ${s.key ? `data-key="${esc(s.key)}" tabindex="0" role="button"` : ''}>
+        <span class="chart-swatch" style="background:${color}"></span>${esc(s.label)}
+        <span class="muted">${(share * 100).toFixed(0)}%</span></li>`;
+      start += share;
+    });
+
+    el.innerHTML = `
+      <div class="chart-donut">
+        <svg viewBox="0 0 200 200" role="img" aria-label="Spending by category">
+          ${svg}
+          <text class="chart-center" x="100" y="98" text-anchor="middle">${esc(money(total))}</text>
+          <text class="chart-center-label" x="100" y="116" text-anchor="middle">spent</text>
+        </svg>
+        <ul class="chart-legend">${legend}</ul>
+      </div>`;
+
+    wireClicks(el, onSelect);
+  }
+
+  // ============================================================================
+  // STACKED BAR CHART
+  // ============================================================================
+
+  /**
+   * Draws a bar for each column, stacked from each series' value in it
+   * Only positive values are stacked (refunds don't make a bar shorter)
+   * @param {HTMLElement} el - Container to draw into
+   * @param {Object} data - {columns: [{key, label}], series: [{key, label, color, values}]}
+   *   where each series has one value per column
+   * @param {Object} options - Configuration object
+   * @param {string} options.empty - Message when there's nothing to show
+   * @param {Function} options.onSelect - Called with the key of the clicked series
+   */
+  function stackedBars(el, { columns, series }, { empty = 'Nothing to show.', onSelect } = {}) {
+    const heights = columns.map((_, c) => series.reduce((sum, s) => sum + Math.max(0, s.values[c] || 0), 0));
+    const highest = Math.max(0, ...heights);
+    if (!columns.length || !(highest > 0)) {
+      el.innerHTML = `<p class="muted">${esc(empty)}</p>`;
+      return;
+    }
+
+    const width = AXIS_WIDTH + columns.length * COLUMN_WIDTH;
+    const bottom = CHART_HEIGHT - LABEL_HEIGHT;
+    const scale = niceScale(0, highest);
+    const y = yPosition(scale, bottom);
+
+    let svg = axisSvg(scale, y, width);
+
+    columns.forEach((col, c) => {
+      const x = AXIS_WIDTH + c * COLUMN_WIDTH + 8;
+      let stacked = 0;
+
+      series.forEach((s, i) => {
+        const value = s.values[c] || 0;
+        if (value <= 0) return;
+        const top = y(stacked + value);
+        const height = (y(stacked) - top).toFixed(2);
+        const tip = `${col.label} · ${s.label}: ${money(value)}`;
+        svg += `<rect ${segmentAttrs(s.key)} x="${x}" y="${top}" width="${COLUMN_WIDTH - 16}" height="${height}" fill="${s.color || colorAt(i)}"><title>${esc(tip)}</title></rect>`;
+        stacked += value;
+      });
+
+      svg += `<text class="chart-axis" x="${x + (COLUMN_WIDTH - 16) / 2}" y="${bottom + 16}" text-anchor="middle">${esc(col.label)}</text>`;
+    });
+
+    const legend = series.map((s, i) =>
+      `<li class="chart-legend-item" ${s.key ? `data-key="${esc(s.key)}" tabindex="0" role="button"` : ''}>
+        <span class="chart-swatch" style="background:${s.color || colorAt(i)}"></span>${esc(s.label)}</li>`).join('');
+
+    el.innerHTML = `
+      <div class="chart-scroll">
+        <svg viewBox="0 0 ${width} ${CHART_HEIGHT}" style="min-width:${width}px" role="img" aria-label="Spending per month by category">${svg}</svg>
+      </div>
+      <ul class="chart-legend inline">${legend}</ul>`;
+
+    wireClicks(el, onSelect);
+  }
+
+  // ============================================================================
+  // LINE CHART
+  // ============================================================================
+
+  /**
+   * Draws a line through one value per column, with a zero line
+   * @param {HTMLElement} el - Container to draw into
+   * @param {Array} points - [{label, value}] in order
+   * @param {Object} options - Configuration object
+   * @param {string} options.empty - Message when there's nothing to show
+   */
+  function line(el, points, { empty = 'Nothing to show.' } = {}) {
+    if (!points.length) {
+      el.innerHTML = `<p class="muted">${esc(empty)}</p>`;
+      return;
+    }
+
+    const values = points.map(p => p.value);
+    const width = AXIS_WIDTH + points.length * COLUMN_WIDTH;
+    const bottom = CHART_HEIGHT - LABEL_HEIGHT;
+    const scale = niceScale(Math.min(0, ...values), Math.max(0, ...values));
+    const y = yPosition(scale, bottom);
+    const x = (i) => AXIS_WIDTH + i * COLUMN_WIDTH + COLUMN_WIDTH / 2;
+
+    let svg = axisSvg(scale, y, width);
+    svg += `<polyline class="chart-line" points="${points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')}"></polyline>`;
+
+    points.forEach((p, i) => {
+      svg += `<circle class="chart-dot${p.value < 0 ? ' below' : ''}" cx="${x(i)}" cy="${y(p.value)}" r="4"><title>${esc(`${p.label}: ${money(p.value)}`)}</title></circle>`;
+      svg += `<text class="chart-axis" x="${x(i)}" y="${bottom + 16}" text-anchor="middle">${esc(p.label)}</text>`;
+    });
+
+    el.innerHTML = `
+      <div class="chart-scroll">
+        <svg viewBox="0 0 ${width} ${CHART_HEIGHT}" style="min-width:${width}px" role="img" aria-label="Net spending over time">${svg}</svg>
+      </div>`;
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the chart functions to the global scope
+  // This allows script.js to call: SL_Charts.donut(...)
+  window.SL_Charts = { donut, stackedBars, line, colorAt };
+})();
@@ -0,0 +1,341 @@
+// ============================================================================
+// IMPORT WIZARD MODAL - Preview and Confirm a Bank File Before Loading It
+// ============================================================================
+// This module shows the first rows of a file exactly as they will be imported,
+// lets the user correct the column mapping, and only then loads the data.
+// It knows nothing about CSV parsing itself: script.js passes in a preview
+// function and callbacks, the same way it drives the category picker.
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // CONFIGURATION AND STATE
+  // ============================================================================
+
+  // How many data rows to show in the preview table
+  const PREVIEW_ROWS = 8;
+
+  // Labels for the mappable fields (which ones apply depends on the amount layout)
+  const FIELD_LABELS = {
+    date: 'Date',
+    amount: 'Amount',
+    debit: 'Debit',
+    credit: 'Credit',
+    indicator: 'DR/CR',
+    description: 'Description'
+  };
+
+  let working = null;        // Copy of the profile being adjusted
+  let lastResult = null;     // Latest preview result (null if the mapping is invalid)
+
+  // ============================================================================
+  // HTML TEMPLATE
+  // ============================================================================
+
+  const tpl = `
+  <div class="impwiz-backdrop" id="impwizBackdrop" role="dialog" aria-modal="true" aria-labelledby="impwizTitle">
+    <div class="impwiz-dialog">
+
+      <!-- Modal Header -->
+      <div class="impwiz-header">
+        <h2 class="impwiz-title" id="impwizTitle">Import</h2>
+        <div class="impwiz-sub" id="impwizProfile"></div>
+      </div>
+
+      <!-- Modal Body -->
+      <div class="impwiz-body">
+        <!-- Column mapping controls -->
+        <div class="impwiz-mapping" id="impwizMapping"></div>
+
+        <!-- Error shown when the mapping doesn't fit the file -->
+        <div class="impwiz-error" id="impwizError" style="display:none"></div>
+
+        <!-- Counts for the whole file -->
+        <div class="impwiz-summary" id="impwizSummary"></div>
+
+        <!-- First rows as they will be imported -->
+        <div class="impwiz-preview"><table id="impwizPreview"></table></div>
+      </div>
+
+      <!-- Modal Actions (buttons) -->
+      <div class="impwiz-actions">
+        <button class="impwiz-btn" id="impwizCancel">Cancel</button>
+        <button class="impwiz-btn" id="impwizSave">Save as profile…</button>
+        <button class="impwiz-btn primary" id="impwizImport">Import</button>
+      </div>
+
+    </div>
+  </div>`;
+
+  // ============================================================================
+  // MODAL INITIALIZATION
+  // ============================================================================
+
+  /**
+   * Ensures the modal HTML exists in the page
+   * Only creates it once, even if called multiple times
+   */
+  function ensureModal() {
+    if (document.getElementById('impwizBackdrop')) return;
+
+    const wrap = document.createElement('div');
+    wrap.innerHTML = tpl;
+    document.body.appendChild(wrap.firstElementChild);
+  }
+
+  /**
+   * Escapes HTML special characters (script.js has its own copy; this module stays standalone)
+   * @param {string} s - The string to escape
+   * @returns {string} HTML-safe string
+   */
+  function esc(s) {
+    return String(s ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ============================================================================
+  // RENDERING
+  // ============================================================================
+
+  /**
+   * Builds the header-row and column selects from the file's shape
+   * @param {Array|null} header - Header row cells (null if no header)
+   * @param {number} columnCount - Widest row in the file
+   * @param {Object} columns - Currently resolved 0-based columns (may be empty)
+   */
+  function renderMapping(header, columnCount, columns) {
+    const el = document.getElementById('impwizMapping');
+
+    // One option per column, labelled with its header name when there is one
+    const colOptions = (selected) => {
+      let html = `<option value=""${selected == null ? ' selected' : ''}>Choose…</option>`;
+      for (let i = 0; i < columnCount; i++) {
+        const name = header && header[i] ? `${i + 1}: ${header[i]}` : `Column ${i + 1}`;
+        html += `<option value="${i}"${i === selected ? ' selected' : ''}>${esc(name)}</option>`;
+      }
+      return html;
+    };
+
+    // Select for a profile setting, e.g. headerRow or amountMode
+    const settingSelect = (key, label, choices) =>
+      `<label>${label}<select data-setting="${key}">` +
+      choices.map(([value, text]) =>
+        `<option value="${value}"${(working[key] || choices[0][0]) === value ? ' selected' : ''}>${text}</option>`
+      ).join('') +
+      `</select></label>`;
+
+    let html = settingSelect('headerRow', 'Header row', [
+      ['auto', 'Auto-detect'], ['yes', 'First row is a header'], ['no', 'No header row']
+    ]);
+    html += settingSelect('dateFormat', 'Date format', [
+      ['auto', 'Auto-detect'], ['DMY', 'Day first'], ['MDY', 'Month first']
+    ]);
+    html += settingSelect('numberFormat', 'Number format', [
+      ['auto', 'Auto-detect'], ['dot', '1,234.56'], ['comma', '1.234,56']
+    ]);
+    html += settingSelect('amountMode', 'Amount layout', [
+      ['single', 'One amount column'], ['split', 'Debit + Credit columns'], ['indicator', 'Amount + DR/CR column']
+    ]);
+    if ((working.amountMode || 'single') === 'single') {
+      html += settingSelect('spendSign', 'Money spent is', [
+        ['positive', 'Positive'], ['negative', 'Negative']
+      ]);
+    }
+
+    for (const key of opts.fieldsFor(working)) {
+      html += `<label>${FIELD_LABELS[key]} column<select data-field="${key}">${colOptions(columns[key])}</select></label>`;
+    }
+
+    el.innerHTML = html;
+
+    // Setting changes keep the current columns; new fields start unmapped
+    el.querySelectorAll('select[data-setting]').forEach(sel => {
+      sel.addEventListener('change', () => {
+        working[sel.dataset.setting] = sel.value;
+        working.columns = readColumns(el);
+        refresh();
+      });
+    });
+
+    // Column changes rebuild the preview with numeric columns
+    el.querySelectorAll('select[data-field]').forEach(sel => {
+      sel.addEventListener('change', () => {
+        working.columns = readColumns(el);
+        refresh();
+      });
+    });
+  }
+
+  /**
+   * Reads the column selects back into a columns object
+   * @param {HTMLElement} el - Mapping container
+   * @returns {Object} Field name -> 0-based index (null when not chosen)
+   */
+  function readColumns(el) {
+    const cols = {};
+    el.querySelectorAll('select[data-field]').forEach(s => {
+      cols[s.dataset.field] = s.value === '' ? null : Number(s.value);
+    });
+    return cols;
+  }
+
+  /**
+   * Renders the counts and preview table for a successful parse
+   * @param {Object} result - Result from the preview function
+   */
+  function renderPreview(result) {
+    const { report, rowResults } = result;
+
+    document.getElementById('impwizSummary').innerHTML =
+      `<strong>${report.rows}</strong> rows · ` +
+      `<strong>${report.accepted}</strong> will be imported · ` +
+      `<strong>${report.skipped.length}</strong> skipped` +
+      (report.badDates.length ? ` · <span class="impwiz-warn">${report.badDates.length} unreadable date(s)</span>` : '') +
+      (report.dateNote ? `<div class="impwiz-warn">${esc(report.dateNote)}</div>` : '');
+
+    let html = '<tr><th>Row</th><th>Date</th><th>Read as</th><th>Amount</th><th>Description</th><th>Status</th></tr>';
+    for (const r of rowResults.slice(0, PREVIEW_ROWS)) {
+      const status = r.reason ? `<span class="impwiz-skip">Skipped: ${esc(r.reason)}</span>` : '✓';
+      const amount = r.amount != null ? r.amount.toFixed(2) : '';
+      html += `<tr${r.reason ? ' class="skipped"' : ''}>
+        <td>${r.line}</td>
+        <td>${esc(r.date)}</td>
+        <td${r.reason || r.iso ? '' : ' class="impwiz-warn"'}>${r.reason ? '' : esc(r.iso || 'unreadable')}</td>
+        <td class="num">${amount}</td>
+        <td>${esc(r.description)}</td>
+        <td>${status}</td>
+      </tr>`;
+    }
+    document.getElementById('impwizPreview').innerHTML = html;
+  }
+
+  /**
+   * Shows an error and clears the preview
+   * @param {string} message - What went wrong
+   */
+  function renderError(message) {
+    const err = document.getElementById('impwizError');
+    err.textContent = message;
+    err.style.display = message ? '' : 'none';
+
+    if (message) {
+      document.getElementById('impwizSummary').innerHTML = '';
+      document.getElementById('impwizPreview').innerHTML = '';
+    }
+  }
+
+  // The preview function and callbacks for the file currently open
+  let opts = null;
+
+  /**
+   * Re-runs the preview with the working profile and updates the dialog
+   */
+  function refresh() {
+    const fields = opts.fieldsFor(working);
+    const incomplete = fields.some(key => working.columns[key] == null);
+
+    lastResult = null;
+    if (!incomplete) {
+      try {
+        lastResult = opts.preview(working);
+      } catch (e) {
+        renderError(e.message);
+      }
+    } else {
+      renderError(`Choose a column for: ${fields.map(key => FIELD_LABELS[key]).join(', ')}.`);
+    }
+
+    if (lastResult) {
+      renderError('');
+      renderPreview(lastResult);
+      renderMapping(lastResult.header, lastResult.columnCount, lastResult.columns);
+    } else {
+      // Probe the file's shape so the user can still pick columns
+      const probeCols = {};
+      for (const key of fields) probeCols[key] = 0;
+      const probe = opts.preview({ ...working, headerRow: 'yes', columns: probeCols });
+      const cols = {};
+      for (const key of fields) cols[key] = typeof working.columns[key] === 'number' ? working.columns[key] : null;
+      renderMapping(working.headerRow === 'no' ? null : probe.header, probe.columnCount, cols);
+    }
+
+    document.getElementById('impwizImport').disabled = !lastResult || !lastResult.report.accepted;
+    document.getElementById('impwizSave').disabled = !lastResult;
+  }
+
+  // ============================================================================
+  // MAIN MODAL FUNCTION (PUBLIC API)
+  // ============================================================================
+
+  /**
+   * Opens the import wizard
+   *
+   * @param {Object} options - Configuration object
+   * @param {string} options.fileName - Name of the file being imported
+   * @param {Object} options.profile - Import profile to start from
+   * @param {Function} options.preview - (profile) => parse result; may throw with a message
+   * @param {Function} options.fieldsFor - (profile) => column fields that profile needs
+   * @param {Function} options.onSaveProfile - (profile, header) => true if saved
+   * @param {Function} options.onConfirm - (profile) called when the user clicks Import
+   * @param {Function} options.onCancel - Optional, called when the wizard is dismissed
+   */
+  function openImportWizard(options) {
+    ensureModal();
+    opts = options;
+
+    // Work on a copy so Cancel leaves the saved profile untouched
+    working = { ...options.profile, columns: { ...options.profile.columns } };
+
+    document.getElementById('impwizTitle').textContent = `Import ${options.fileName || 'file'}`;
+    document.getElementById('impwizProfile').textContent = `Profile: ${options.profile.name}`;
+
+    const backdrop = document.getElementById('impwizBackdrop');
+
+    const close = () => {
+      backdrop.classList.remove('show');
+      opts = null;
+    };
+
+    // Dismissing without importing lets the caller move on (e.g. to the next file)
+    const cancel = () => {
+      const onCancel = opts && opts.onCancel;
+      close();
+      onCancel && onCancel();
+    };
+
+    document.getElementById('impwizCancel').onclick = cancel;
+    backdrop.onclick = (e) => {
+      if (e.target === backdrop) cancel();
+    };
+
+    document.getElementById('impwizSave').onclick = () => {
+      if (!lastResult) return;
+      const profile = { ...working, columns: { ...lastResult.columns } };
+      if (opts.onSaveProfile(profile, lastResult.header)) {
+        document.getElementById('impwizProfile').textContent = 'Profile: saved';
+      }
+    };
+
+    document.getElementById('impwizImport').onclick = () => {
+      if (!lastResult) return;
+      const profile = { ...working, columns: { ...lastResult.columns } };
+      const onConfirm = opts.onConfirm;
+      close();
+      onConfirm(profile);
+    };
+
+    refresh();
+    backdrop.classList.add('show');
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the main function to the global scope
+  // This allows script.js to call: SL_ImportWizard.openImportWizard(...)
+  window.SL_ImportWizard = { openImportWizard };
+})();
@@ -5,7 +5,8 @@
 // Main features:
 // - Import CSV transactions from your bank
 // - Automatically categorize expenses using custom rules
-// - Filter by month and category
+// - Filter by period (month, quarter, financial year, pay cycle or date range) and category
+// - Search transactions (e.g. desc:uber amount>100) and save searches as named views
 // - Export totals and rules for backup
 // ============================================================================
 
@@ -14,30 +15,82 @@
 // ============================================================================
 // These are values that don't change during the app's runtime
 
-// CSV Column mapping - tells us where to find data in the bank's CSV file
-// These are 0-based indices (counting starts from 0, not 1)
-const COL = { 
-  DATE: 2,      // Column 3 contains the transaction date
-  DEBIT: 5,     // Column 6 contains the amount (money spent or received)
-  LONGDESC: 9   // Column 10 contains the description of the transaction
+// Built-in import profile - the original fixed column layout of our first bank's CSV
+// Column positions are 0-based indices (counting starts from 0, not 1) or header names
+const DEFAULT_IMPORT_PROFILE = {
+  id: 'default',
+  name: 'Default (columns 3 / 6 / 10)',
+  delimiter: '',        // '' lets PapaParse auto-detect comma, semicolon, tab...
+  headerRow: 'auto',    // 'auto' = guess, 'yes' = first row is a header, 'no' = data only
+  skipRows: 0,          // Lines of bank preamble to ignore before the header/data
+  numberFormat: 'auto', // 'auto', 'dot' for 1,234.56 or 'comma' for 1.234,56
+  dateFormat: 'auto',   // 'auto' scans the whole file, 'DMY' = 01/06/2025 is 1 June, 'MDY' = 6 January
+  amountMode: 'single', // 'single' amount column, 'split' Debit + Credit columns, 'indicator' amount + DR/CR column
+  spendSign: 'positive', // 'single' mode only: sign the bank uses for money spent
+  columns: {
+    date: 2,            // Column 3 contains the transaction date
+    amount: 5,          // Column 6 contains the amount (money spent or received)
+    description: 9      // Column 10 contains the description of the transaction
+  }
 };
 
 // Pagination settings - how many items to show per page
 const PAGE_SIZE = 10;              // Number of transactions per page
 const CATEGORY_PAGE_SIZE = 10;     // Number of categories per page (if used)
 
-// LocalStorage keys - these are like labels for saving data in the browser
-// localStorage is a browser feature that saves data even after you close the tab
+// Storage keys - these are like labels for saving data in the browser
+// Data is kept in IndexedDB (see store.js); these were once localStorage keys,
+// and older localStorage saves under them are copied across on first load
 const LS_KEYS = { 
   RULES: 'spendlite_rules_v6626',           // Key for saving categorization rules
   FILTER: 'spendlite_filter_v6626',         // Key for saving active category filter
-  MONTH: 'spendlite_month_v6627',           // Key for saving selected month
+  MONTH: 'spendlite_month_v6627',           // Key for saving selected period (month, quarter, FY or range)
   TXNS_COLLAPSED: 'spendlite_txns_collapsed_v7',  // Key for saving show/hide state
-  TXNS_JSON: 'spendlite_txns_json_v7'       // Key for saving all transactions
+  TXNS_JSON: 'spendlite_txns_json_v7',      // Key for saving all transactions
+  PROFILES: 'spendlite_import_profiles_v1', // Key for saving custom bank import profiles
+  PROFILE: 'spendlite_import_profile_v1',   // Key for saving the selected import profile
+  IMPORT_MODE: 'spendlite_import_mode_v1',  // Key for saving replace/append import mode
+  OVERRIDES: 'spendlite_overrides_v1',      // Key for saving hand-picked categories (by transaction id)
+  SPLITS: 'spendlite_splits_v1',            // Key for saving split transactions (by transaction id)
+  CATS_COLLAPSED: 'spendlite_cats_collapsed_v1', // Key for saving which parent categories are collapsed
+  TRANSFER_DISMISSED: 'spendlite_transfer_dismissed_v1', // Key for saving matches marked "not a transfer"
+  INCLUDE_TRANSFERS: 'spendlite_include_transfers_v1',   // Key for saving the "include transfers in totals" toggle
+  ACCOUNT: 'spendlite_import_account_v1',   // Key for saving the account name used for the last import
+  ACCOUNT_FILTER: 'spendlite_account_filter_v1', // Key for saving the selected account filter
+  VAULT_AUTO_LOCK: 'spendlite_vault_auto_lock_v1', // Key for saving the vault's idle minutes before locking
+  EXPORT_OPTIONS: 'spendlite_export_options_v1',   // Key for saving the transaction export format and columns
+  PAY_CYCLE: 'spendlite_pay_cycle_v1',             // Key for saving the pay cycle (payday and length)
+  SEARCH: 'spendlite_search_v1',                   // Key for saving the transactions search box
+  SAVED_VIEWS: 'spendlite_saved_views_v1'          // Key for saving named searches ("views")
 };
 
+// Account filter value for transactions imported without an account name
+const NO_ACCOUNT = '__none__';
+
+// Category given to money moved between our own accounts
+const TRANSFER_CATEGORY = 'TRANSFER';
+const TRANSFER_WINDOW_DAYS = 3;     // How far apart the two sides of a transfer may be
+
+// Format version of the rules text, noted in its "# rules-version:" line.
+// Text without that line (or with an older number) is upgraded by upgradeRulesText
+const RULES_VERSION = 2;
+
 // Sample rules shown when user first loads the app
-const SAMPLE_RULES = `# Rules format: KEYWORD => CATEGORY
+const SAMPLE_RULES = `# rules-version: ${RULES_VERSION}
+# Rules format: KEYWORD => CATEGORY
+# Optional extras on the left (all must match; first matching rule wins):
+#   /^uber\\s*\\*?eats/ => TAKEAWAY          regular expression
+#   woolworths -petrol => GROCERIES         skip descriptions containing "petrol"
+#   ampol amount<=2 => COFFEE               size of the amount, sign ignored
+#   ampol => PETROL                         (narrower rule goes first)
+#   salary type:credit => INCOME            type:debit or type:credit
+#   netflix date>=2025-07-01 => STREAMING   or date:2025-01-01..2025-03-31
+#   bakery day:sat,sun => TREATS            weekdays
+#   interest account:savings => INTEREST    only for one account (spaces as - or _)
+# Monthly budgets: @budget CATEGORY AMOUNT, e.g.
+#   @budget GROCERIES 800
+# Always treat as a transfer between own accounts: @transfer KEYWORD, e.g.
+#   @transfer internet banking transfer
 `;
 
 // ============================================================================
@@ -49,9 +102,22 @@ const SAMPLE_RULES = `# Rules format: KEYWORD => CATEGORY
 let CURRENT_TXNS = [];        // Array holding all loaded transactions
 let CURRENT_RULES = [];       // Array holding all categorization rules
 let CURRENT_FILTER = null;    // Currently active category filter (null = show all)
-let MONTH_FILTER = "";        // Currently selected month ('YYYY-MM' format or empty)
+let CURRENT_SEARCH = { text: '', terms: [], errors: [] };  // Search box query, read by parseSearchQuery
+let PERIOD_FILTER = "";       // Selected period: '' (all), 'YYYY-MM', 'YYYY-Qn', 'FY2025', 'YYYY-MM-DD..YYYY-MM-DD' or 'PAYYYYY-MM-DD'
+let PAY_CYCLE = null;         // Pay cycle settings ({length, anchor} or {length: 'monthly', day}), null = none
+let ACCOUNT_FILTER = "";      // Currently selected account (empty = all accounts)
 let CURRENT_PAGE = 1;         // Current page number for transaction pagination
 let CATEGORY_PAGE = 1;        // Current page for category display (if used)
+let IMPORT_REPORTS = [];      // Reports for the files in the current import batch
+let CATEGORY_OVERRIDES = {};  // Hand-picked categories: transaction id -> CATEGORY (beats the rules)
+let TXN_SPLITS = {};          // Split transactions: transaction id -> [{amount, category}, ...]
+let EXPANDED_SPLITS = new Set();  // Ids of split transactions showing their parts in the table
+let COLLAPSED_CATEGORIES = new Set();  // Parent categories whose children are hidden in the totals
+let CURRENT_BUDGETS = new Map();      // Monthly budgets from "@budget" lines: CATEGORY -> amount
+let RECURRING_ITEMS = [];             // Recurring payments found by detectRecurring (for the +Rule/+Budget buttons)
+let TRANSFERS = { byId: new Map(), pairs: [], keywordHits: [] };  // Transfers found by detectTransfers
+let TRANSFER_DISMISSED = {};          // Matches the user said are not transfers: match key -> true
+let INCLUDE_TRANSFERS = false;        // Count transfers in the spend totals?
 
 // ============================================================================
 // SECTION 3: DATE FORMATTING FUNCTIONS
@@ -78,28 +144,25 @@ function formatMonthLabel(ym) {
 }
 
 /**
- * Returns a friendly label, handling both month strings and edge cases
- * @param {string} label - The month label to format
- * @returns {string} User-friendly label
+ * Formats an ISO date for display
+ * Example: "2025-07-01" becomes "1 Jul 2025"
+ * @param {string} iso - Date in YYYY-MM-DD format
+ * @returns {string} Friendly date
  */
-function friendlyMonthOrAll(label) {
-  if (!label) return 'All months';
-  
-  // Check if it matches YYYY-MM format using regex
-  if (/^\d{4}-\d{2}$/.test(label)) return formatMonthLabel(label);
-  
-  return String(label);
+function formatDayLabel(iso) {
+  const d = dateFromIso(iso);
+  return d ? d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' }) : String(iso || '');
 }
 
 /**
  * Converts a friendly label to a filename-safe version
- * Example: "June 2025" becomes "June_2025"
+ * Example: "June 2025" becomes "June_2025", "FY 2024/25" becomes "FY_2024-25"
  * @param {string} label - The label to convert
  * @returns {string} Filename-safe string
  */
 function forFilename(label) {
-  // Replace all whitespace with underscores
-  return String(label).replace(/\s+/g, '_');
+  // Replace all whitespace with underscores, and characters files can't have with dashes
+  return String(label).replace(/\s+/g, '_').replace(/[\\/:*?"<>|]+/g, '-');
 }
 
 // ============================================================================
@@ -124,20 +187,104 @@ function toTitleCase(str) {
 }
 
 /**
- * Safely converts a string to a number (handles currency symbols, commas, etc.)
- * Example: "$1,234.56" becomes 1234.56
+ * Works out which character is the decimal separator in an amount like "1.234,56"
+ * When both "." and "," appear, the last one is the decimal point. A lone
+ * separator followed by exactly three digits in groups ("1,234" or "1.234.567")
+ * is read as thousands; otherwise it's the decimal point
+ * @param {string} str - Amount text with signs and currency already removed
+ * @returns {string} '.' or ','
+ */
+function guessDecimalSeparator(str) {
+  const lastDot = str.lastIndexOf('.');
+  const lastComma = str.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) return lastDot > lastComma ? '.' : ',';
+  if (lastComma !== -1) return /^\d{1,3}(,\d{3})+$/.test(str) ? '.' : ',';
+  if (lastDot !== -1) return /^\d{1,3}(\.\d{3}){2,}$/.test(str) ? ',' : '.';
+  return '.';
+}
+
+/**
+ * Parses a money amount exactly as a bank wrote it
+ * Understands currency symbols ("$", "AUD", "€"), thousands separators,
+ * European decimal commas, accounting parentheses "(45.00)", trailing
+ * minus signs "45.00-" and CR/DR markers "45.00 CR"
+ * @param {string|number} s - The cell to parse
+ * @param {string} numberFormat - 'auto', 'dot' (1,234.56) or 'comma' (1.234,56)
+ * @returns {Object} Object with {value, direction} - value is null for a blank
+ *   cell and NaN if unreadable; direction is 'credit', 'debit' or '' from a CR/DR marker
+ */
+function parseAmountCell(s, numberFormat = 'auto') {
+  if (typeof s === 'number') return { value: s, direction: '' };
+
+  // Non-breaking spaces are common thousands separators in European exports
+  let str = String(s ?? '').replace(/\u00a0/g, ' ').trim();
+
+  // Blank cells (or just a dash) simply have no amount
+  if (/^[-–—]*$/.test(str)) return { value: null, direction: '' };
+
+  // CR/DR markers before or after the number, e.g. "45.00 CR" or "DR 12.00"
+  let direction = '';
+  const marker = str.match(/^(CR|DR)\.?\s*|\s*(CR|DR)\.?$/i);
+  if (marker) {
+    direction = (marker[1] || marker[2]).toUpperCase() === 'CR' ? 'credit' : 'debit';
+    str = str.replace(marker[0], '').trim();
+  }
+
+  // Currency symbols and codes at either end: "$45.00", "45,00 €", "AUD 45.00"
+  str = str.replace(/^[^\d()+\-.,]+|[^\d()+\-.,]+$/g, '').trim();
+
+  // Sign: accounting parentheses, trailing minus, or a leading +/-
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1).trim();
+  }
+  if (str.endsWith('-')) {
+    negative = !negative;
+    str = str.slice(0, -1).trim();
+  }
+  if (/^[+-]/.test(str)) {
+    if (str[0] === '-') negative = !negative;
+    str = str.slice(1).trim();
+  }
+  str = str.replace(/^[^\d.,]+/, '');  // Currency after the sign, e.g. "-$45.00"
+
+  // Only digits and separators may be left
+  if (!/^[\d.,' ]+$/.test(str) || !/\d/.test(str)) return { value: NaN, direction };
+
+  const decimal = numberFormat === 'comma' ? ',' : numberFormat === 'dot' ? '.' : guessDecimalSeparator(str);
+
+  // Nothing but digits may follow the decimal separator, e.g. "1.234,56" read as 'dot'
+  const lastDecimal = str.lastIndexOf(decimal);
+  if (lastDecimal !== -1 && /\D/.test(str.slice(lastDecimal + 1))) return { value: NaN, direction };
+
+  let digits = str.replace(decimal === ',' ? /[.' ]/g : /[,' ]/g, '');
+  if (decimal === ',') digits = digits.replace(',', '.');
+
+  // A second decimal point means the format was wrong, e.g. "1.234.56"
+  if (!/^\d*\.?\d*$/.test(digits)) return { value: NaN, direction };
+
+  const value = Number(digits);
+  return { value: negative ? -value : value, direction };
+}
+
+/**
+ * Converts an amount cell to a number
+ * A CR marker makes the result negative and DR positive (the app's convention:
+ * positive = money spent); otherwise the sign is kept as written
+ * Example: "$1,234.56" becomes 1234.56, "(45.00)" becomes -45
  * @param {string|number} s - The value to parse
- * @returns {number} Parsed number or 0 if invalid
+ * @param {string} numberFormat - 'auto', 'dot' (1,234.56) or 'comma' (1.234,56)
+ * @returns {number} Parsed number, 0 for a blank cell, NaN if unreadable
  */
-function parseAmount(s) {
-  if (s == null) return 0;
-  
-  // Remove everything except digits, minus sign, and decimal point
-  // Then remove commas (which are used as thousands separators)
-  s = String(s).replace(/[^\d\-,.]/g, '').replace(/,/g, '');
-  
-  // Convert to number, or return 0 if it fails
-  return Number(s) || 0;
+function parseAmount(s, numberFormat = 'auto') {
+  const { value, direction } = parseAmountCell(s, numberFormat);
+
+  if (value == null) return 0;
+  if (direction === 'credit') return -Math.abs(value);
+  if (direction === 'debit') return Math.abs(value);
+  return value;
 }
 
 /**
@@ -158,62 +305,170 @@ function escapeHtml(s) {
 // ============================================================================
 // SECTION 5: DATE PARSING (AUSTRALIAN FORMAT SUPPORT)
 // ============================================================================
+// Dates are parsed once, at import, into an ISO "YYYY-MM-DD" string stored on
+// each transaction as t.iso. Everything after import works from t.iso.
+
+// Month names, in order (index 0 = January, matching JavaScript's 0-based months)
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+/**
+ * Turns a month name or abbreviation into its number
+ * Example: "Jun", "June" and "Sept" all work; "Junk" doesn't
+ * @param {string} word - Month name as written
+ * @returns {number|null} Month 1-12, or null if it isn't a month
+ */
+function monthFromName(word) {
+  const w = String(word).toLowerCase();
+  const idx = MONTH_NAMES.findIndex(name => w.length >= 3 && name.startsWith(w));
+  return idx === -1 ? null : idx + 1;
+}
+
+/**
+ * Expands a two-digit year: 00-69 become 2000s, 70-99 become 1900s
+ * @param {string} y - Year as written
+ * @returns {number} Four-digit year
+ */
+function fullYear(y) {
+  const n = Number(y);
+  if (y.length > 2) return n;
+  return n < 70 ? 2000 + n : 1900 + n;
+}
+
+/**
+ * Builds a Date, rejecting impossible values like 31/02 or month 13
+ * @param {number} y - Year
+ * @param {number} m - Month (1-12)
+ * @param {number} d - Day of month
+ * @returns {Date|null} Date object or null if the date doesn't exist
+ */
+function makeDate(y, m, d) {
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+}
 
 /**
  * Intelligently parses various date formats, with Australian DD/MM/YYYY support
  * This is important because Australian banks use DD/MM/YYYY while US uses MM/DD/YYYY
+ * Understands:
+ * - ISO "2025-06-01", "2025/06/01" and compact "20250601"
+ * - Numeric "1/6/2025", "01-06-25", "01.06.2025" in day-first or month-first order
+ * - Month names "01-Jun-25", "1 June 2025", "Mon 1 September, 2025", "Jun 1, 2025"
+ * - A time before or after the date ("2025-06-01T10:22:00Z", "3:45pm 1 June 2025")
  * @param {string} s - The date string to parse
+ * @param {string} order - 'DMY' (default) or 'MDY' for numeric dates like 01/06/2025
  * @returns {Date|null} Date object or null if parsing fails
  */
-function parseDateSmart(s) {
+function parseDateSmart(s, order = 'DMY') {
   if (!s) return null;
-  const str = String(s).trim();
+
+  // Strip a leading time like "3:45pm " and a trailing one like " 10:30" or "T10:22:00Z"
+  const str = String(s).trim()
+    .replace(/^\d{1,2}:\d{2}(:\d{2})?\s*(am|pm)?\s+/i, '')
+    .replace(/(T|\s+)\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(am|pm)?\s*(Z|[+-]\d{2}:?\d{2})?$/i, '');
   let m;  // Will hold regex match results
 
-  // Pattern 1: ISO format (unambiguous): YYYY-MM-DD or YYYY/MM/DD
-  m = str.match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})$/);
+  // Pattern 1: ISO format (unambiguous): YYYY-MM-DD, YYYY/MM/DD or YYYYMMDD
+  // Note: JavaScript months are 0-based, makeDate takes care of that
+  m = str.match(/^(\d{4})[\/.-](\d{1,2})[\/.-](\d{1,2})$/) || str.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (m) return makeDate(+m[1], +m[2], +m[3]);
+
+  // Pattern 2: Numeric day and month, Australian DD/MM/YYYY unless told otherwise
+  // (e.g., 1/6/2025 = 1 June 2025, or 6/1/2025 with order 'MDY')
+  m = str.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4}|\d{2})$/);
   if (m) {
-    // m[1] = year, m[2] = month, m[3] = day
-    // Note: JavaScript months are 0-based (0=January, 11=December)
-    return new Date(+m[1], +m[2]-1, +m[3]);
+    const [day, month] = order === 'MDY' ? [+m[2], +m[1]] : [+m[1], +m[2]];
+    return makeDate(fullYear(m[3]), month, day);
   }
 
-  // Pattern 2: Australian format DD/MM/YYYY (e.g., 1/6/2025 = 1 June 2025)
-  m = str.match(/^(\d{1,2})[\/-](\d{1,2})[\/-](\d{4})$/);
+  // Pattern 3: Day then month name (e.g., "01-Jun-25", "Mon 1 September, 2025")
+  m = str.match(/^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s*)?(\d{1,2})(?:st|nd|rd|th)?[\s\/.-]+([A-Za-z]{3,})\.?,?[\s\/.-]+(\d{4}|\d{2})$/i);
   if (m) {
-    // m[1] = day, m[2] = month, m[3] = year (Australian order)
-    return new Date(+m[3], +m[2]-1, +m[1]);
+    const month = monthFromName(m[2]);
+    if (month) return makeDate(fullYear(m[3]), month, +m[1]);
   }
 
-  // Pattern 3: Month name format (e.g., "Mon 1 September, 2025")
-  // First strip any leading time like "3:45pm "
-  const s2 = str.replace(/^\d{1,2}:\d{2}\s*(am|pm)\s*/i, '');
-  
-  // Match: optional weekday, day number, month name, year
-  m = s2.match(/^(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)?\s*(\d{1,2})\s+(January|February|March|April|May|June|July|August|September|October|November|December),?\s+(\d{4})/i);
-  
+  // Pattern 4: Month name then day (e.g., "Jun 1, 2025")
+  m = str.match(/^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s*)?([A-Za-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
   if (m) {
-    const day = +m[1];
-    const monthName = m[2].toLowerCase();
-    const y = +m[3];
-    
-    // Map month names to numbers (0-based for JavaScript)
-    const monthMap = {
-      january: 0, february: 1, march: 2, april: 3, 
-      may: 4, june: 5, july: 6, august: 7, 
-      september: 8, october: 9, november: 10, december: 11
-    };
-    
-    const monthIndex = monthMap[monthName];
-    if (monthIndex != null) return new Date(y, monthIndex, day);
+    const month = monthFromName(m[1]);
+    if (month) return makeDate(+m[3], month, +m[2]);
   }
 
-  // Pattern 4: Couldn't parse - give up
+  // Pattern 5: Couldn't parse - give up
   // Note: We don't use JavaScript's native Date() parser because it assumes
   // US format (MM/DD/YYYY) which would incorrectly parse Australian dates
   return null;
 }
 
+/**
+ * Works out whether a column of numeric dates is day-first or month-first
+ * by scanning every value: a first part over 12 can only be a day, a second
+ * part over 12 can only be a day
+ * @param {Array} values - Date strings from one file
+ * @returns {Object} Object with {order, ambiguous, conflicting}
+ *   ambiguous = no value settled it (defaults to day-first)
+ *   conflicting = the column contains both kinds
+ */
+function detectDateOrder(values) {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  let numeric = 0;
+
+  for (const v of values) {
+    const m = String(v || '').trim().match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4}|\d{2})\b/);
+    if (!m) continue;
+    numeric++;
+    if (+m[1] > 12 && +m[2] <= 12) dayFirst++;
+    else if (+m[2] > 12 && +m[1] <= 12) monthFirst++;
+  }
+
+  return {
+    order: monthFirst > dayFirst ? 'MDY' : 'DMY',
+    ambiguous: numeric > 0 && !dayFirst && !monthFirst,
+    conflicting: dayFirst > 0 && monthFirst > 0
+  };
+}
+
+/**
+ * Describes the date order detection for the import report
+ * @param {Object} detected - Result of detectDateOrder
+ * @returns {string} Warning text, or '' if there's nothing to say
+ */
+function dateOrderNote(detected) {
+  if (detected.conflicting) {
+    return 'This file mixes day-first and month-first dates; read as ' +
+      (detected.order === 'MDY' ? 'month/day/year' : 'day/month/year') + '. Check the date format setting.';
+  }
+  if (detected.ambiguous) {
+    return 'Every date could be day-first or month-first; read as day/month/year. Set the date format if that\'s wrong.';
+  }
+  return '';
+}
+
+/**
+ * Converts a Date object to an ISO date string
+ * Example: June 1, 2025 becomes "2025-06-01"
+ * @param {Date|null} d - The date to convert
+ * @returns {string} Date in YYYY-MM-DD format, or '' if there's no date
+ */
+function toIsoDate(d) {
+  if (!d) return '';
+  return `${yyyymm(d)}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Converts an ISO date string back to a local Date object
+ * @param {string} iso - Date in YYYY-MM-DD format
+ * @returns {Date|null} Date object or null
+ */
+function dateFromIso(iso) {
+  const m = String(iso || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+}
+
 /**
  * Converts a Date object to YYYY-MM format
  * Example: June 1, 2025 becomes "2025-06"
@@ -226,17 +481,24 @@ function yyyymm(d) {
 }
 
 /**
- * Gets the month of the first transaction in the list
- * @param {Array} txns - Array of transactions (defaults to CURRENT_TXNS)
- * @returns {string|null} Month in YYYY-MM format or null if no transactions
+ * Gets a transaction's month from its stored ISO date
+ * @param {Object} t - Transaction
+ * @returns {string} Month in YYYY-MM format, or '' if its date couldn't be read
  */
-function getFirstTxnMonth(txns = CURRENT_TXNS) {
-  if (!txns.length) return null;
-  
-  const d = parseDateSmart(txns[0].date);
-  if (!d || isNaN(d)) return null;
-  
-  return yyyymm(d);
+function txnMonth(t) {
+  return t.iso ? t.iso.slice(0, 7) : '';
+}
+
+/**
+ * Fills in t.iso for transactions that don't have it yet
+ * (saved before dates were normalised, or parsed by a format without a date setting)
+ * @param {Array} txns - Transactions to update (modified in place)
+ * @param {string} order - 'DMY' or 'MDY' for numeric dates
+ */
+function normaliseTxnDates(txns, order = 'DMY') {
+  for (const t of txns) {
+    if (t.iso === undefined) t.iso = toIsoDate(parseDateSmart(t.date, order));
+  }
 }
 
 // ============================================================================
@@ -244,900 +506,5103 @@ function getFirstTxnMonth(txns = CURRENT_TXNS) {
 // ============================================================================
 
 /**
- * Parses CSV text and loads transactions into memory
- * This is the main entry point when a user uploads a CSV file
- * @param {string} csvText - Raw CSV file content as text
- * @returns {Array} Array of parsed transactions
+ * Returns every import profile: the built-in default followed by saved custom ones
+ * @returns {Array} Array of profile objects
  */
-function loadCsvText(csvText) {
-  // Use PapaParse library to convert CSV text into array of arrays
-  // skipEmptyLines: true removes blank rows
-  const rows = Papa.parse(csvText.trim(), { skipEmptyLines: true }).data;
-  
-  // Determine if first row is a header by checking if the amount column contains a number
-  // If it's NOT a number (like "Amount"), it's a header row - skip it
-  const startIdx = rows.length && isNaN(parseAmount(rows[0][COL.DEBIT])) ? 1 : 0;
-  
-  const txns = [];
-  
-  // Loop through each row starting from startIdx
-  for (let i = startIdx; i < rows.length; i++) {
-    const r = rows[i];
-    
-    // Skip if row is missing or doesn't have enough columns
-    if (!r || r.length < 10) continue;
-    
-    // Extract data from specific columns
-    const effectiveDate = r[COL.DATE] || '';
-    const debit = parseAmount(r[COL.DEBIT]);
-    const longDesc = (r[COL.LONGDESC] || '').trim();
-    
-    // Only include rows with valid data (has date or description, and non-zero amount)
-    if ((effectiveDate || longDesc) && Number.isFinite(debit) && debit !== 0) {
-       txns.push({ 
-         date: effectiveDate, 
-         amount: debit, 
-         description: longDesc 
-       });
-    }
-  }
-  
-  // Store transactions in global state
-  CURRENT_TXNS = txns;
-  
-  // Save to browser's localStorage for persistence
-  saveTxnsToLocalStorage();
-  
-  // Update UI elements
-  try { updateMonthBanner(); } catch {}
-  rebuildMonthDropdown();
-  applyRulesAndRender();
-  
-  return txns;
+function getImportProfiles() {
+  const saved = loadJson(LS_KEYS.PROFILES, []);
+  return [DEFAULT_IMPORT_PROFILE, ...(Array.isArray(saved) ? saved : [])];
 }
 
-// ============================================================================
-// SECTION 7: MONTH FILTERING
-// ============================================================================
+/**
+ * Looks up an import profile by id
+ * @param {string} id - Profile id
+ * @returns {Object|null} The profile, or null if it doesn't exist
+ */
+function findImportProfile(id) {
+  return getImportProfiles().find(p => p.id === id) || null;
+}
 
 /**
- * Rebuilds the month dropdown with all unique months from transactions
- * This runs after CSV is loaded to populate the month filter options
+ * Saves the custom import profiles (the built-in default is never stored)
+ * @param {Array} profiles - Custom profiles to keep
  */
-function rebuildMonthDropdown() {
-  const sel = document.getElementById('monthFilter');
-  
-  // Use a Set to collect unique months (Sets automatically remove duplicates)
-  const months = new Set();
-  
-  // Loop through all transactions and extract their month
-  for (const t of CURRENT_TXNS) {
-    const d = parseDateSmart(t.date);
-    if (d) months.add(yyyymm(d));  // Add month in YYYY-MM format
-  }
-  
-  // Convert Set to Array and sort chronologically
-  const list = Array.from(months).sort();
-  
-  const current = MONTH_FILTER;
-  
-  // Build dropdown HTML
-  sel.innerHTML = `<option value="">All months</option>` + 
-    list.map(m => `<option value="${m}">${formatMonthLabel(m)}</option>`).join('');
-  
-  // Restore previously selected month (if it still exists)
-  sel.value = current && list.includes(current) ? current : "";
-  
-  updateMonthBanner();
+function saveImportProfiles(profiles) {
+  saveJson(LS_KEYS.PROFILES, profiles.filter(p => p.id !== DEFAULT_IMPORT_PROFILE.id));
 }
 
 /**
- * Returns transactions filtered by the selected month
- * @returns {Array} Filtered array of transactions
+ * Splits CSV text into rows using a profile's delimiter and drops preamble lines
+ * @param {string} csvText - Raw CSV file content
+ * @param {Object} profile - Import profile to use
+ * @returns {Array} Array of rows (each row is an array of cell strings)
  */
-function monthFilteredTxns() {
-  // If no month filter is active, return all transactions
-  if (!MONTH_FILTER) return CURRENT_TXNS;
-  
-  // Filter transactions to only those matching the selected month
-  return CURRENT_TXNS.filter(t => {
-    const d = parseDateSmart(t.date);
-    return d && yyyymm(d) === MONTH_FILTER;
-  });
+function parseCsvRows(csvText, profile) {
+  // Use PapaParse library to convert CSV text into array of arrays
+  // skipEmptyLines: true removes blank rows; delimiter '' means auto-detect
+  const rows = Papa.parse(String(csvText || '').trim(), {
+    skipEmptyLines: true,
+    delimiter: profile.delimiter || ''
+  }).data;
+
+  return rows.slice(Math.max(0, Number(profile.skipRows) || 0));
 }
 
-// ============================================================================
-// SECTION 8: CATEGORIZATION RULES
-// ============================================================================
+/**
+ * Lists the columns a profile needs, which depends on how it stores amounts
+ * @param {Object} profile - Import profile
+ * @returns {Array} Field names such as ['date', 'debit', 'credit', 'description']
+ */
+function profileFields(profile) {
+  const amountFields = {
+    single: ['amount'],
+    split: ['debit', 'credit'],
+    indicator: ['amount', 'indicator']
+  }[profile.amountMode || 'single'] || ['amount'];
+
+  return ['date', ...amountFields, 'description'];
+}
 
 /**
- * Parses rules text into an array of rule objects
- * Rule format: "KEYWORD => CATEGORY" (one per line)
- * @param {string} text - Raw rules text from textarea
- * @returns {Array} Array of {keyword, category} objects
+ * Decides whether the first row is a header row
+ * In 'auto' mode a row is a header when its amount cell(s) hold no digits (e.g. "Amount")
+ * @param {Array} row - First row of the file
+ * @param {Object} profile - Import profile
+ * @returns {boolean} True if the row should be treated as a header
  */
-function parseRules(text) {
-  // Split text into lines (handles both Windows \r\n and Unix \n line endings)
-  const lines = String(text || "").split(/\r?\n/);
-  const rules = [];
-  
-  for (const line of lines) {
-    const trimmed = line.trim();
-    
-    // Skip empty lines and comments (lines starting with #)
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    
-    // Split on "=>" to separate keyword from category
-    const parts = trimmed.split(/=>/i);  // 'i' makes it case-insensitive
-    
-    if (parts.length >= 2) {
-      const keyword = parts[0].trim().toLowerCase();   // Keywords are lowercase for matching
-      const category = parts[1].trim().toUpperCase();  // Categories are uppercase for consistency
-      
-      if (keyword && category) {
-        rules.push({ keyword, category });
-      }
+function isHeaderRow(row, profile) {
+  if (!row) return false;
+  if (profile.headerRow === 'yes') return true;
+  if (profile.headerRow === 'no') return false;
+
+  // Profiles that map columns by header name always need a header row
+  const fields = profileFields(profile);
+  if (fields.some(f => typeof profile.columns[f] === 'string')) return true;
+
+  const amountCells = fields
+    .filter(f => f === 'amount' || f === 'debit' || f === 'credit')
+    .map(f => String(row[profile.columns[f]] ?? ''));
+  return !amountCells.some(c => /\d/.test(c));
+}
+
+/**
+ * Turns a profile's column mapping into 0-based indices for this file
+ * Header names are matched case-insensitively against the header row
+ * @param {Object} profile - Import profile
+ * @param {Array|null} header - Header row cells (null if the file has no header)
+ * @returns {Object} Object with {columns, missing} - missing lists names not found
+ */
+function resolveColumns(profile, header) {
+  const names = (header || []).map(h => String(h).trim().toLowerCase());
+  const columns = {};
+  const missing = [];
+
+  for (const field of profileFields(profile)) {
+    const col = profile.columns[field];
+    if (typeof col === 'number') {
+      columns[field] = col;
+    } else {
+      const idx = names.indexOf(String(col).trim().toLowerCase());
+      if (idx === -1) missing.push(col);
+      columns[field] = idx;
     }
   }
-  
-  return rules;
+
+  return { columns, missing };
 }
 
 /**
- * Checks if a transaction description matches a keyword
- * Supports multi-word keywords (e.g., "paypal pypl" matches both "paypal" AND "pypl")
- * @param {string} descLower - Transaction description in lowercase
- * @param {string} keywordLower - Keyword to match (in lowercase)
- * @returns {boolean} True if description matches keyword
+ * Picks the import profile whose header names all appear in the file's header line
+ * Profiles matching more named columns win; index-only profiles can't be detected
+ * @param {string} csvText - Raw CSV file content
+ * @returns {Object|null} Best matching profile, or null if none matched
  */
-function matchesKeyword(descLower, keywordLower) {
-  if (!keywordLower) return false;
+function detectImportProfile(csvText) {
+  let best = null;
+  let bestScore = 0;
 
-  const text = String(descLower || '').toLowerCase();
-  const tokens = String(keywordLower).toLowerCase().split(/\s+/).filter(Boolean);
-  if (!tokens.length) return false;
+  for (const profile of getImportProfiles()) {
+    const named = profileFields(profile).filter(f => typeof profile.columns[f] === 'string');
+    if (!named.length) continue;
 
-  // Define what counts as a word boundary
-  const delim = '[^A-Za-z0-9&._]';
+    const header = parseCsvRows(csvText, profile)[0];
+    const { missing } = resolveColumns(profile, header);
 
-  // If the keyword is exactly 3 words, enforce consecutive in-order phrase match
-  if (tokens.length === 3) {
-    const safe = tokens.map(tok => tok.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-    // Allow any non-word delimiter(s) between the three words
-    const re = new RegExp(`(?:^|${delim})${safe[0]}(?:${delim})+${safe[1]}(?:${delim})+${safe[2]}(?:${delim}|$)`, 'i');
-    return re.test(text);
+    if (!missing.length && named.length > bestScore) {
+      best = profile;
+      bestScore = named.length;
+    }
   }
 
-  // Otherwise, fall back to existing "all tokens present with word boundaries" logic
-  return tokens.every(tok => {
-    const safe = tok.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const re = new RegExp(`(?:^|${delim})${safe}(?:${delim}|$)`, 'i');
-    return re.test(text);
-  });
+  return best;
 }
 
 /**
- * Applies categorization rules to transactions
- * Modifies the transactions in place, adding a 'category' property
- * @param {Array} txns - Array of transactions to categorize
- * @param {Array} rules - Array of categorization rules
+ * Reads a row's amount and converts it to the app's sign convention
+ * (positive = money spent, negative = money received), whatever the bank uses
+ * A CR/DR marker written in the amount cell always decides the direction
+ * @param {Array} r - Row cells
+ * @param {Object} columns - Resolved 0-based columns
+ * @param {Object} profile - Import profile
+ * @returns {Object} Object with {amount, error} - amount is 0 if the row has none,
+ *   error describes a cell that couldn't be read
  */
-function categorise(txns, rules) {
-  for (const t of txns) {
-    // Get description (handles both 'desc' and 'description' property names)
-    const descLower = String(t.desc || t.description || "").toLowerCase();
-    const amount = Math.abs(Number(t.amount || t.debit || 0));
+function readRowAmount(r, columns, profile) {
+  const format = profile.numberFormat || 'auto';
 
-    // Step 1: Find first matching rule
-    let matched = null;
-    for (const r of rules) {
-      if (matchesKeyword(descLower, r.keyword)) {
-        matched = r.category;
-        break;  // First match wins (stop looking)
-      }
+  // Parses one cell, remembering the first unreadable one for the report
+  let error = '';
+  const cell = (col) => {
+    const parsed = parseAmountCell(r[col], format);
+    if (Number.isNaN(parsed.value) && !error) error = `unreadable amount ("${String(r[col]).trim()}")`;
+    return parsed;
+  };
+  const size = (c) => Math.abs(c.value || 0);
+
+  let amount;
+  switch (profile.amountMode) {
+    case 'split': {
+      // Some banks write debits as negative numbers, so only the column matters
+      amount = size(cell(columns.debit)) - size(cell(columns.credit));
+      break;
     }
 
-    // Step 2: Special case - small purchases at petrol stations are likely coffee
-    // If categorized as PETROL but amount is $2 or less, recategorize as COFFEE
-    if (matched && String(matched).toUpperCase() === "PETROL" && amount <= 2) {
-      matched = "COFFEE";
+    case 'indicator': {
+      const flag = String(r[columns.indicator] || '').trim().toLowerCase();
+      amount = /^(cr|c|credit)$/.test(flag) ? -size(cell(columns.amount)) : size(cell(columns.amount));
+      break;
     }
 
-    // Assign category (or "UNCATEGORISED" if no rules matched)
-    t.category = matched || "UNCATEGORISED";
+    default: {
+      const c = cell(columns.amount);
+      if (c.direction) {
+        amount = c.direction === 'credit' ? -size(c) : size(c);
+      } else {
+        amount = profile.spendSign === 'negative' ? -(c.value || 0) : (c.value || 0);
+      }
+    }
   }
-}
 
-// ============================================================================
-// SECTION 9: CATEGORY TOTALS CALCULATION AND DISPLAY
-// ============================================================================
+  return error ? { amount: NaN, error } : { amount, error: '' };
+}
 
 /**
- * Calculates total spending for each category
- * @param {Array} txns - Array of categorized transactions
- * @returns {Object} Object with {rows, grand} - rows are [category, total] pairs
+ * Converts CSV text into transaction objects using an import profile
+ * Every data row is accounted for: it either becomes a transaction or is
+ * listed in the report with the reason it was skipped
+ * @param {string} csvText - Raw CSV file content
+ * @param {Object} profile - Import profile describing the bank's layout
+ * @returns {Object} Object with {txns, report, header, columns, columnCount, rowResults}
  */
-function computeCategoryTotals(txns) {
-  // Use a Map to accumulate totals by category
-  // Map is better than Object for this because keys can be any value
-  const byCat = new Map();
-  
-  for (const t of txns) {
-    const cat = (t.category || 'UNCATEGORISED').toUpperCase();
-    
-    // Add this transaction's amount to the category total
-    // If category doesn't exist yet, start at 0
-    byCat.set(cat, (byCat.get(cat) || 0) + t.amount);
+function parseCsvWithProfile(csvText, profile) {
+  const rows = parseCsvRows(csvText, profile);
+  const hasHeader = isHeaderRow(rows[0], profile);
+  const header = hasHeader ? rows[0] : null;
+  const { columns, missing } = resolveColumns(profile, header);
+
+  if (missing.length) {
+    throw new Error(`Profile "${profile.name}" expects column(s) not found in this file: ${missing.join(', ')}`);
   }
-  
-  // Convert Map to array of [category, total] pairs and sort by total (highest first)
-  const rows = [...byCat.entries()].sort((a, b) => b[1] - a[1]);
-  
-  // Calculate grand total across all categories
-  const grand = rows.reduce((acc, [, v]) => acc + v, 0);
-  
-  return { rows, grand };
+
+  // A row must reach every mapped column to be usable
+  const minLength = Math.max(...Object.values(columns)) + 1;
+
+  const txns = [];
+  const rowResults = [];   // One entry per data row, used by the import preview
+  const report = {
+    profileName: profile.name,
+    rows: 0,               // Data rows examined (header excluded)
+    accepted: 0,
+    skipped: [],           // {line, reason, raw} for each rejected row
+    badDates: [],          // {line, date, description} for dates parseDateSmart can't read
+    dateNote: ''           // Warning about ambiguous day/month order
+  };
+
+  // Decide day-first or month-first once, looking at the whole date column
+  const firstData = hasHeader ? 1 : 0;
+  let dateOrder = profile.dateFormat === 'MDY' ? 'MDY' : 'DMY';
+  if (!profile.dateFormat || profile.dateFormat === 'auto') {
+    const detected = detectDateOrder(rows.slice(firstData).map(r => r && r[columns.date]));
+    dateOrder = detected.order;
+    report.dateNote = dateOrderNote(detected);
+  }
+
+  // Loop through each row, skipping the header if there is one
+  for (let i = firstData; i < rows.length; i++) {
+    const r = rows[i];
+    // Line number as the user would count it in the file (1-based, after skipped rows)
+    const line = i + (Number(profile.skipRows) || 0) + 1;
+    report.rows++;
+
+    // Skip if row is missing or doesn't have enough columns
+    if (!r || r.length < minLength) {
+      const reason = `too few columns (${r ? r.length : 0} of ${minLength})`;
+      report.skipped.push({ line, reason, raw: (r || []).join(', ') });
+      rowResults.push({ line, reason });
+      continue;
+    }
+
+    // Extract data from the mapped columns
+    const effectiveDate = (r[columns.date] || '').trim();
+    const { amount: debit, error } = readRowAmount(r, columns, profile);
+    const longDesc = (r[columns.description] || '').trim();
+
+    // Only include rows with valid data (has date or description, and a readable non-zero amount)
+    let reason = '';
+    if (!effectiveDate && !longDesc) reason = 'no date or description';
+    else if (error) reason = error;
+    else if (!Number.isFinite(debit) || debit === 0) reason = 'zero or missing amount';
+
+    // Normalise the date once; the rest of the app only reads t.iso
+    const iso = toIsoDate(parseDateSmart(effectiveDate, dateOrder));
+
+    rowResults.push({ line, date: effectiveDate, iso, amount: Number.isFinite(debit) ? debit : null, description: longDesc, reason });
+
+    if (reason) {
+      report.skipped.push({ line, reason, raw: r.join(', ') });
+      continue;
+    }
+
+    // Kept, but it will only show under "All months" if the date can't be read
+    if (!iso) {
+      report.badDates.push({ line, date: effectiveDate, description: longDesc });
+    }
+
+    txns.push({
+      date: effectiveDate,
+      iso,
+      amount: debit,
+      description: longDesc
+    });
+  }
+
+  report.accepted = txns.length;
+
+  return { txns, report, header, columns, columnCount: Math.max(0, ...rows.map(r => r.length)), rowResults };
 }
 
 /**
- * Renders the category totals table in the UI
- * @param {Array} txns - Array of transactions to summarize
+ * Picks the profile for a file: explicit choice, then header auto-detection,
+ * then the built-in layout
+ * @param {string} csvText - Raw CSV file content
+ * @param {string} profileId - Chosen profile id ('' = auto-detect)
+ * @returns {Object} Import profile
  */
-function renderCategoryTotals(txns) {
-  const { rows, grand } = computeCategoryTotals(txns);
-  const totalsDiv = document.getElementById('categoryTotals');
-  
-  // Build HTML table
-  let html = '<table class="cats">';
-  html += '<colgroup><col class="col-cat"><col class="col-total"><col class="col-pct"></colgroup>';
-  html += '<thead><tr><th>Category</th><th class="num">Total</th><th class="num">%</th></tr></thead>';
-  html += '<tbody>';
-  
-  // Add a row for each category
-  for (const [cat, total] of rows) {
-    // Calculate percentage of grand total
-    const pct = grand ? (total / grand * 100) : 0;
-    
-    html += `<tr>
-      <td><a class="catlink" data-cat="${escapeHtml(cat)}"><span class="category-name">${escapeHtml(toTitleCase(cat))}</span></a></td>
-      <td class="num">${total.toFixed(2)}</td>
-      <td class="num">${pct.toFixed(1)}%</td>
-    </tr>`;
-  }
-  
-  html += `</tbody>`;
-  
-  // Footer with grand total
-  html += `<tfoot><tr><td>Total</td><td class="num">${grand.toFixed(2)}</td><td class="num">100%</td></tr></tfoot>`;
-  html += '</table>';
-  
-  totalsDiv.innerHTML = html;
-
-  // Add click handlers to category links (for filtering)
-  totalsDiv.querySelectorAll('a.catlink').forEach(a => {
-    a.addEventListener('click', () => {
-      // Set the clicked category as the active filter
-      CURRENT_FILTER = a.getAttribute('data-cat');
-      
-      // Save filter to localStorage
-      try { localStorage.setItem(LS_KEYS.FILTER, CURRENT_FILTER || ''); } catch {}
-      
-      // Update UI to show active filter
-      updateFilterUI();
-      CURRENT_PAGE = 1;  // Reset to first page
-      renderTransactionsTable();
-    });
-  });
+function chooseImportProfile(csvText, profileId) {
+  return (profileId && findImportProfile(profileId)) ||
+    detectImportProfile(csvText) ||
+    DEFAULT_IMPORT_PROFILE;
 }
 
 /**
- * Renders the month summary (count, debit, credit, net)
+ * Parses CSV text and loads transactions into memory
+ * This is the main entry point once the user has confirmed an import
+ * @param {string} csvText - Raw CSV file content as text
+ * @param {Object} options - Options object
+ * @param {Object} options.profile - Import profile to use (wins over profileId)
+ * @param {string} options.profileId - Import profile id ('' = auto-detect from the header)
+ * @param {string} options.mode - 'replace' swaps out all transactions, 'append' merges and skips duplicates
+ * @param {string} options.fileName - File name shown in the import report
+ * @returns {Array} Array of transactions that were added
  */
-function renderMonthTotals() {
-  // Get transactions (filtered by both month and category)
-  const txns = getFilteredTxns(monthFilteredTxns());
-  
-  let debit = 0, credit = 0, count = 0;
-  
-  for (const t of txns) {
-    const amt = Number(t.amount) || 0;
-    
-    if (amt > 0) {
-      debit += amt;  // Positive = money spent
-    } else {
-      credit += Math.abs(amt);  // Negative = money received
-    }
-    
-    count++;
-  }
-  
-  const net = debit - credit;  // Net spending
-  
-  const el = document.getElementById('monthTotals');
-  if (el) {
-    const label = friendlyMonthOrAll(MONTH_FILTER);
-    const cat = CURRENT_FILTER ? ` + category "${CURRENT_FILTER}"` : "";
-    
-    el.innerHTML = `Showing <span class="badge">${count}</span> transactions for <strong>${label}${cat}</strong> · ` +
-                   `Debit: <strong>$${debit.toFixed(2)}</strong> · ` +
-                   `Credit: <strong>$${credit.toFixed(2)}</strong> · ` +
-                   `Net: <strong>$${net.toFixed(2)}</strong>`;
+function loadCsvText(csvText, { profile = null, profileId = '', mode = 'replace', fileName = '', account = '' } = {}) {
+  profile = profile || chooseImportProfile(csvText, profileId);
+
+  let result;
+  try {
+    result = parseCsvWithProfile(csvText, profile);
+  } catch (e) {
+    showSaveStatus(`✕ ${e.message}`, 'error');
+    return [];
   }
-}
 
-// ============================================================================
-// SECTION 10: MAIN RENDER FUNCTION
-// ============================================================================
+  return commitImportedTxns(result.txns, result.report, { mode, fileName, account });
+}
 
 /**
- * Applies rules to transactions and re-renders all UI elements
- * This is the main "refresh" function called when data changes
+ * Stores freshly parsed transactions and refreshes the whole UI
+ * Shared by every file format so they all render and persist the same way
+ * @param {Array} txns - Parsed transactions
+ * @param {Object} report - Import report (gets fileName and duplicates added)
  * @param {Object} options - Options object
- * @param {boolean} options.keepPage - If true, stay on current page (don't reset to page 1)
+ * @param {string} options.mode - 'replace' or 'append'
+ * @param {string} options.fileName - File name shown in the import report
+ * @returns {Array} Array of transactions that were added
  */
-function applyRulesAndRender({keepPage = false} = {}) { 
-  if (!keepPage) {
-    CURRENT_PAGE = 1;  // Reset to first page
+function commitImportedTxns(txns, report, { mode = 'replace', fileName = '', account = '' } = {}) {
+  let added = txns;
+  report.fileName = fileName;
+  report.duplicates = [];
+
+  // Tag every transaction with the account it came from (before looking for duplicates)
+  if (account) {
+    for (const t of txns) t.account = account;
+    report.account = account;
   }
+
+  if (mode === 'append') {
+    const merged = mergeTxns(CURRENT_TXNS, txns);
+    added = merged.added;
+    report.duplicates = merged.duplicates;
+    CURRENT_TXNS = CURRENT_TXNS.concat(added);
+  } else {
+    // Store transactions in global state
+    CURRENT_TXNS = txns;
+  }
+  assignTxnIds(CURRENT_TXNS);
   
-  // Parse rules from textarea
-  CURRENT_RULES = parseRules(document.getElementById('rulesBox').value);
-  
-  // Save rules to localStorage
-  try { localStorage.setItem(LS_KEYS.RULES, document.getElementById('rulesBox').value); } catch {}
-  
-  // Get month-filtered transactions
-  const txns = monthFilteredTxns();
-  
-  // Apply categorization rules
-  categorise(txns, CURRENT_RULES);
-  
-  // Re-render all UI sections
-  renderMonthTotals();
-  renderCategoryTotals(txns);
-  renderTransactionsTable(txns);
-  
-  // Save updated transactions
-  saveTxnsToLocalStorage();
+  // Save in the browser for persistence
+  saveTxnsToStore();
   
+  // Update UI elements
   try { updateMonthBanner(); } catch {}
-}
-
-// ============================================================================
-// SECTION 11: TRANSACTION TABLE RENDERING
-// ============================================================================
+  rebuildPeriodDropdown();
+  rebuildAccountDropdown();
+  applyRulesAndRender();
 
-/**
- * Filters transactions by active category filter
- * @param {Array} txns - Transactions to filter
- * @returns {Array} Filtered transactions
- */
-function getFilteredTxns(txns) {
-  if (!CURRENT_FILTER) return txns;
+  IMPORT_REPORTS.push(report);
+  renderImportReport(IMPORT_REPORTS);
   
-  return txns.filter(t => 
-    (t.category || 'UNCATEGORISED').toUpperCase() === CURRENT_FILTER
-  );
+  return added;
 }
 
 /**
- * Updates the filter UI to show active filter or hide it
+ * Imports several files one after another; CSV files go through the import wizard
+ * In replace mode only the first confirmed file replaces the stored
+ * transactions; the rest of the batch is appended to it
+ * @param {FileList|Array} files - Files chosen or dropped by the user
  */
-function updateFilterUI() {
-  const label = document.getElementById('activeFilter');
-  const btn = document.getElementById('clearFilterBtn');
-  
-  if (CURRENT_FILTER) {
-    label.textContent = `— filtered by "${CURRENT_FILTER}"`;
-    btn.style.display = '';  // Show "clear filter" button
-  } else {
-    label.textContent = '';
-    btn.style.display = 'none';  // Hide button
+function importFiles(files) {
+  const queue = Array.from(files || []).filter(f => /\.(csv|ofx|qfx|qif)$/i.test(f.name) || f.type === 'text/csv');
+  if (!queue.length) {
+    showSaveStatus('✕ No CSV, OFX, QFX or QIF files to import', 'error');
+    return;
   }
-}
 
-/**
- * Updates the month banner text
- */
-function updateMonthBanner() {
-  const banner = document.getElementById('monthBanner');
-  const label = friendlyMonthOrAll(MONTH_FILTER);
-  banner.textContent = `— ${label}`;
+  let mode = document.getElementById('importMode').value || 'replace';
+  const account = document.getElementById('importAccount').value.trim();
+  saveJson(LS_KEYS.ACCOUNT, account);
+  IMPORT_REPORTS = [];
+
+  const next = () => {
+    const file = queue.shift();
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const format = detectStatementFormat(file.name, reader.result);
+
+      // OFX and QIF files describe themselves, so they skip the mapping wizard
+      if (format !== 'csv') {
+        const { txns, report } = format === 'ofx' ? parseOfx(reader.result) : parseQif(reader.result);
+        // OFX files name their account; use that if none was typed
+        commitImportedTxns(txns, report, { mode, fileName: file.name, account: account || report.accountId || '' });
+        mode = 'append';
+        next();
+        return;
+      }
+
+      startCsvImport(reader.result, file.name, {
+        mode,
+        account,
+        onDone: (confirmed) => {
+          if (confirmed) mode = 'append';
+          next();
+        }
+      });
+    };
+    reader.readAsText(file);
+  };
+
+  next();
 }
 
 /**
- * Renders the transactions table with pagination
- * @param {Array} txns - Transactions to display (defaults to month-filtered)
+ * Opens the import wizard for a CSV file so the user can check the preview
+ * and column mapping before anything is loaded
+ * @param {string} csvText - Raw CSV file content
+ * @param {string} fileName - Name of the chosen file (shown in the wizard)
+ * @param {Object} options - Options object
+ * @param {string} options.mode - 'replace' or 'append'
+ * @param {Function} options.onDone - Called with true once imported, false if cancelled
  */
-function renderTransactionsTable(txns = monthFilteredTxns()) {
-  const filtered = getFilteredTxns(txns);
-  
-  // Calculate total pages
-  const totalPages = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
-  
-  // Ensure current page is valid
-  if (CURRENT_PAGE > totalPages) CURRENT_PAGE = totalPages;
-  if (CURRENT_PAGE < 1) CURRENT_PAGE = 1;
-  
-  // Calculate which transactions to show on this page
-  const start = (CURRENT_PAGE - 1) * PAGE_SIZE;
-  const pageItems = filtered.slice(start, start + PAGE_SIZE);
-  
-  const table = document.getElementById('transactionsTable');
-  
-  // Build table HTML
-  let html = '<tr><th>Date</th><th>Amount</th><th>Category</th><th>Description</th><th></th></tr>';
-  
-  pageItems.forEach((t) => {
-    // Get the original index in CURRENT_TXNS (needed for the + button)
-    const idx = CURRENT_TXNS.indexOf(t);
-    const cat = (t.category || 'UNCATEGORISED').toUpperCase();
-    const displayCat = toTitleCase(cat);
-    
-    html += `<tr>
-      <td>${escapeHtml(t.date)}</td>
-      <td>${t.amount.toFixed(2)}</td>
-      <td><span class="category-name">${escapeHtml(displayCat)}</span></td>
-      <td>${escapeHtml(t.description)}</td>
-      <td><button class="rule-btn" onclick="assignCategory(${idx})">+</button></td>
-    </tr>`;
+function startCsvImport(csvText, fileName, { mode = 'replace', account = '', onDone = () => {} } = {}) {
+  const profileId = document.getElementById('importProfile').value;
+
+  SL_ImportWizard.openImportWizard({
+    fileName,
+    profile: chooseImportProfile(csvText, profileId),
+    preview: (profile) => parseCsvWithProfile(csvText, profile),
+    fieldsFor: profileFields,
+    onSaveProfile: (profile, header) => saveWizardProfile(profile, header),
+    onConfirm: (profile) => {
+      loadCsvText(csvText, { profile, mode, fileName, account });
+      onDone(true);
+    },
+    onCancel: () => onDone(false)
   });
-  
-  table.innerHTML = html;
-  
-  // Render pagination controls
-  renderPager(totalPages);
 }
 
 /**
- * Renders the pagination controls
- * @param {number} totalPages - Total number of pages
+ * Saves a mapping adjusted in the import wizard as a new custom profile
+ * Columns are stored by header name when the file has one, so the profile
+ * can be auto-detected next time
+ * @param {Object} profile - Profile built by the wizard (numeric columns)
+ * @param {Array|null} header - Header row of the file
+ * @returns {boolean} True if the profile was saved
  */
-function renderPager(totalPages) {
-  const pager = document.getElementById('pager');
-  if (!pager) return;
-  
-  const pages = totalPages || 1;
-  const cur = CURRENT_PAGE;
+function saveWizardProfile(profile, header) {
+  const name = prompt('Name for this import profile:', '');
+  if (!name || !name.trim()) return false;
 
-  /**
-   * Helper function to create a page button
-   * @param {string} label - Button text
-   * @param {number} page - Page number to navigate to
-   * @param {boolean} disabled - Whether button should be disabled
-   * @param {boolean} isActive - Whether this is the current page
-   * @returns {string} HTML for button
-   */
-  function pageButton(label, page, disabled = false, isActive = false) {
-    const disAttr = disabled ? ' disabled' : '';
-    const activeClass = isActive ? ' active' : '';
-    return `<button class="page-btn${activeClass}" data-page="${page}"${disAttr}>${label}</button>`;
+  const columns = {};
+  for (const [field, idx] of Object.entries(profile.columns)) {
+    const headerName = header && String(header[idx] || '').trim();
+    const unique = headerName && header.filter(h => String(h).trim() === headerName).length === 1;
+    columns[field] = unique ? headerName : idx;
   }
 
-  // Calculate which page numbers to show
-  // Show 5 page numbers centered around current page
-  const windowSize = 5;
-  let start = Math.max(1, cur - Math.floor(windowSize / 2));
-  let end = Math.min(pages, start + windowSize - 1);
-  start = Math.max(1, Math.min(start, end - windowSize + 1));
+  const saved = { ...profile, id: `profile_${Date.now()}`, name: name.trim(), columns };
+  saveImportProfiles([...getImportProfiles(), saved]);
+
+  rebuildProfileDropdowns();
+  document.getElementById('importProfile').value = saved.id;
+  saveJson(LS_KEYS.PROFILE, saved.id);
+
+  return true;
+}
+
+/**
+ * Shows what happened to every row of the last import batch
+ * @param {Array} reports - Reports built by parseCsvWithProfile, one per file
+ */
+function renderImportReport(reports) {
+  const el = document.getElementById('importReport');
+  if (!el) return;
+
+  // Only list the first rows of each kind to keep the page short
+  const LIMIT = 50;
+  const listItems = (items, fmt) => items.slice(0, LIMIT).map(x => `<li>${fmt(x)}</li>`).join('') +
+    (items.length > LIMIT ? `<li>…and ${items.length - LIMIT} more</li>` : '');
 
   let html = '';
-  
-  // First and Previous buttons
-  html += pageButton('First', 1, cur === 1);
-  html += pageButton('Prev', Math.max(1, cur - 1), cur === 1);
 
-  // Page number buttons
-  for (let p = start; p <= end; p++) {
-    html += pageButton(String(p), p, false, p === cur);
-  }
+  for (const report of reports) {
+    // Group skipped rows by reason, e.g. {"zero or missing amount": 4}
+    const byReason = {};
+    for (const s of report.skipped) {
+      const key = s.reason.replace(/\s*\(.*\)$/, '');
+      byReason[key] = (byReason[key] || 0) + 1;
+    }
+    const reasons = Object.entries(byReason).map(([r, n]) => `${n} ${r}`).join(', ');
+    const dupes = report.duplicates || [];
+    const added = report.accepted - dupes.length;
+    const file = report.fileName ? `<strong>${escapeHtml(report.fileName)}</strong>: ` : '';
 
-  // Next and Last buttons
-  html += pageButton('Next', Math.min(pages, cur + 1), cur === pages);
-  html += pageButton('Last', pages, cur === pages);
-  
-  // Page indicator
-  html += `<span style="margin-left:8px">Page ${cur} / ${pages}</span>`;
+    const into = report.account ? ` into account "${escapeHtml(report.account)}"` : '';
 
-  pager.innerHTML = html;
-  
-  // Add click handlers to all buttons
-  pager.querySelectorAll('button.page-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const page = Number(e.currentTarget.getAttribute('data-page'));
-      if (!page || page === CURRENT_PAGE) return;
-      
-      CURRENT_PAGE = page;
-      renderTransactionsTable();
-    });
-  });
+    html += `<div class="import-file"><p>${file}<strong>Imported ${added} of ${report.rows} rows</strong>${into} using "${escapeHtml(report.profileName)}".`;
+    html += report.skipped.length ? ` Skipped ${report.skipped.length}: ${escapeHtml(reasons)}.` : ' Nothing was skipped.';
+    if (dupes.length) html += ` ${dupes.length} already loaded (duplicates skipped).`;
+    html += '</p>';
 
-  // Bonus feature: Mouse wheel to flip pages
-  const table = document.getElementById('transactionsTable');
-  if (table && !table._wheelBound) {
-    table.addEventListener('wheel', (e) => {
-      if (pages <= 1) return;
-      
-      // Scroll down = next page, scroll up = previous page
-      if (e.deltaY > 0 && CURRENT_PAGE < pages) {
-        CURRENT_PAGE++;
-        renderTransactionsTable();
-      } else if (e.deltaY < 0 && CURRENT_PAGE > 1) {
-        CURRENT_PAGE--;
-        renderTransactionsTable();
-      }
-    }, { passive: true });
-    
-    table._wheelBound = true;  // Flag to prevent adding multiple listeners
+    if (report.badDates.length) {
+      html += `<p class="import-warning">⚠ ${report.badDates.length} transaction(s) have a date that couldn't be read. ` +
+              `They only appear under "All months".</p>`;
+    }
+    if (report.dateNote) {
+      html += `<p class="import-warning">⚠ ${escapeHtml(report.dateNote)}</p>`;
+    }
+
+    if (report.skipped.length) {
+      html += `<details><summary>Skipped rows</summary><ul>` +
+        listItems(report.skipped, s => `Row ${s.line}: ${escapeHtml(s.reason)} — <code>${escapeHtml(s.raw)}</code>`) +
+        `</ul></details>`;
+    }
+
+    if (dupes.length) {
+      html += `<details><summary>Duplicates</summary><ul>` +
+        listItems(dupes, t => `${escapeHtml(t.date)} · ${Number(t.amount).toFixed(2)} · ${escapeHtml(t.description)}`) +
+        `</ul></details>`;
+    }
+
+    if (report.badDates.length) {
+      html += `<details><summary>Unreadable dates</summary><ul>` +
+        listItems(report.badDates, b => `Row ${b.line}: "${escapeHtml(b.date)}" — ${escapeHtml(b.description)}`) +
+        `</ul></details>`;
+    }
+
+    html += '</div>';
   }
+
+  el.innerHTML = html;
+  el.style.display = html ? '' : 'none';
 }
 
 // ============================================================================
-// SECTION 12: EXPORT FUNCTIONS
+// SECTION 6A: TRANSACTION FINGERPRINTS AND MERGING
 // ============================================================================
+// A fingerprint identifies a transaction by its content, so the same purchase
+// appearing in two overlapping statements can be recognised and skipped
 
 /**
- * Exports category totals as a formatted text file
+ * Builds the content key two copies of the same transaction share
+ * The ISO date is used so "1/6/2025" and "2025-06-01" give the same result,
+ * and the description ignores case and spacing differences between exports
+ * @param {Object} t - Transaction
+ * @returns {string} Key such as "2025-06-01|4.50|cafe nero|everyday"
  */
-function exportTotals() {
-  const txns = monthFilteredTxns();
-  const { rows, grand } = computeCategoryTotals(txns);
+function txnContentKey(t) {
+  const date = t.iso || String(t.date || '').trim().toLowerCase();
+  const amount = (Number(t.amount) || 0).toFixed(2);
+  const desc = String(t.description || '').trim().replace(/\s+/g, ' ').toLowerCase();
 
-  const label = friendlyMonthOrAll(MONTH_FILTER || getFirstTxnMonth(txns) || new Date());
-  const header = `SpendLite Category Totals (${label})`;
+  // The account only takes part when set, so untagged transactions keep their old ids
+  const account = t.account ? `|${accountKey(t.account)}` : '';
 
-  // Calculate column widths for nice alignment
-  const catWidth = Math.max(8, ...rows.map(([cat]) => toTitleCase(cat).length), 'Category'.length);
-  const amtWidth = 12;
-  const pctWidth = 6;
+  return `${date}|${amount}|${desc}${account}`;
+}
 
-  const lines = [];
-  lines.push(header);
-  lines.push('='.repeat(header.length));  // Underline
-  
-  // Header row
-  lines.push(
-    'Category'.padEnd(catWidth) + ' ' +
-    'Amount'.padStart(amtWidth) + ' ' +
-    '%'.padStart(pctWidth)
-  );
+/**
+ * Builds a short, stable fingerprint (used as the transaction id)
+ * Two different transactions can share a fingerprint, so duplicates are
+ * matched on the full txnContentKey instead
+ * @param {Object} t - Transaction
+ * @returns {string} Short fingerprint such as "t1k9z3qa"
+ */
+function txnFingerprint(t) {
+  // FNV-1a hash - small, fast and the same in every browser
+  const key = txnContentKey(t);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    h ^= key.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return 't' + (h >>> 0).toString(36);
+}
 
-  // Data rows
-  for (const [cat, total] of rows) {
-    const pct = grand ? (total / grand * 100) : 0;
-    lines.push(
-      toTitleCase(cat).padEnd(catWidth) + ' ' +
-      total.toFixed(2).padStart(amtWidth) + ' ' +
-      (pct.toFixed(1) + '%').padStart(pctWidth)
-    );
+/**
+ * Bank transaction ids (FITID) are only unique within one account,
+ * so the account name is put in front when there is one
+ * @param {Object} t - Transaction with a fitid
+ * @returns {string} FITID, or "account:FITID"
+ */
+function fitidKey(t) {
+  return t.account ? `${accountKey(t.account)}:${t.fitid}` : t.fitid;
+}
+
+/**
+ * Gives every transaction an id
+ * Statement files with bank ids (OFX FITIDs) keep those; everything else uses
+ * its fingerprint. Genuinely identical transactions (two $4.50 coffees on the
+ * same day) get "~2", "~3"... suffixes so each still has its own id
+ * @param {Array} txns - Transactions to label (modified in place)
+ */
+function assignTxnIds(txns) {
+  const counts = new Map();
+  for (const t of txns) {
+    const base = t.fitid ? `fitid:${fitidKey(t)}` : txnFingerprint(t);
+    const n = (counts.get(base) || 0) + 1;
+    counts.set(base, n);
+    t.id = n === 1 ? base : `${base}~${n}`;
   }
+}
 
-  // Total row
-  lines.push('');
-  lines.push(
-    'TOTAL'.padEnd(catWidth) + ' ' +
-    grand.toFixed(2).padStart(amtWidth) + ' ' +
-    '100%'.padStart(pctWidth)
-  );
+/**
+ * Works out which incoming transactions are new
+ * A matching bank id (FITID) is always a duplicate. Otherwise each stored copy
+ * of a content key cancels out one incoming copy, so an overlapping statement
+ * adds nothing twice but real repeats are kept
+ * @param {Array} existing - Transactions already stored
+ * @param {Array} incoming - Transactions from the new file
+ * @returns {Object} Object with {added, duplicates}
+ */
+function mergeTxns(existing, incoming) {
+  const fitids = new Set(existing.filter(t => t.fitid).map(fitidKey));
 
-  // Create downloadable file
-  const blob = new Blob([lines.join('\n')], { type: 'text/plain' });
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = `category_totals_${forFilename(label)}.txt`;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+  // Only transactions without a bank id can be matched by content
+  const available = new Map();
+  for (const t of existing) {
+    if (t.fitid) continue;
+    const key = txnContentKey(t);
+    available.set(key, (available.get(key) || 0) + 1);
+  }
+
+  const added = [];
+  const duplicates = [];
+
+  for (const t of incoming) {
+    if (t.fitid && fitids.has(fitidKey(t))) {
+      duplicates.push(t);
+      continue;
+    }
+
+    const key = txnContentKey(t);
+    const left = available.get(key) || 0;
+
+    if (left > 0) {
+      available.set(key, left - 1);
+      duplicates.push(t);
+    } else {
+      added.push(t);
+      if (t.fitid) fitids.add(fitidKey(t));
+    }
+  }
+
+  return { added, duplicates };
 }
 
+// ============================================================================
+// SECTION 6C: OFX/QFX AND QIF STATEMENT FILES
+// ============================================================================
+// Some banks only offer these formats. Both are turned into the same
+// {date, amount, description} objects as a CSV import, with the sign flipped
+// to the app's convention (positive = money spent)
+
 /**
- * Exports categorization rules to a text file
+ * Guesses a statement file's format from its name and content
+ * @param {string} fileName - File name
+ * @param {string} text - File content
+ * @returns {string} 'ofx', 'qif' or 'csv'
  */
-function exportRules() {
-  const text = document.getElementById('rulesBox').value || '';
-  const blob = new Blob([text], {type: 'text/plain'});
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = 'rules_export.txt';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+function detectStatementFormat(fileName, text) {
+  const ext = (String(fileName).match(/\.([a-z0-9]+)$/i) || [])[1] || '';
+  if (/^(ofx|qfx)$/i.test(ext)) return 'ofx';
+  if (/^qif$/i.test(ext)) return 'qif';
+
+  const head = String(text || '').slice(0, 500);
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  if (/^\s*!Type:/i.test(head)) return 'qif';
+  return 'csv';
 }
 
 /**
- * Imports rules from a text file
- * @param {File} file - The file to import
+ * Creates an empty import report in the same shape parseCsvWithProfile uses
+ * @param {string} profileName - Label for the format
+ * @returns {Object} Report object
  */
-function importRulesFromFile(file) {
-  const reader = new FileReader();
-  
-  reader.onload = () => {
-    const text = reader.result || '';
-    document.getElementById('rulesBox').value = text;
-    applyRulesAndRender();
+function newImportReport(profileName) {
+  return { profileName, rows: 0, accepted: 0, skipped: [], badDates: [], dateNote: '' };
+}
+
+/**
+ * Parses an OFX or QFX statement (SGML version 1 or XML version 2)
+ * Version 1 files don't close their value tags, so values are read up to the
+ * next tag or line break instead of using an XML parser
+ * @param {string} text - File content
+ * @returns {Object} Object with {txns, report}
+ */
+function parseOfx(text) {
+  const report = newImportReport('OFX/QFX statement');
+  const txns = [];
+
+  const blocks = String(text || '').split(/<STMTTRN>/i).slice(1);
+
+  blocks.forEach((block, i) => {
+    const body = block.split(/<\/STMTTRN>/i)[0];
+    const tag = (name) => {
+      const m = body.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+      return m ? m[1].trim() : '';
+    };
+
+    const line = i + 1;   // Transaction number within the statement
+    report.rows++;
+
+    // DTPOSTED looks like 20250601 or 20250601120000[+10:AEST]
+    const dm = tag('DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+    const date = dm ? `${dm[1]}-${dm[2]}-${dm[3]}` : tag('DTPOSTED');
+
+    // OFX amounts are negative for money out; the app uses positive for spending
+    const amount = -parseAmount(tag('TRNAMT'));
+
+    const name = tag('NAME');
+    const memo = tag('MEMO');
+    const description = (memo && memo !== name ? `${name} ${memo}` : name || memo).trim();
+
+    if (!amount) {
+      const reason = Number.isNaN(amount) ? `unreadable amount ("${tag('TRNAMT')}")` : 'zero or missing amount';
+      report.skipped.push({ line, reason, raw: `${date} ${description}` });
+      return;
+    }
+    if (!dm) report.badDates.push({ line, date, description });
+
+    const t = { date, iso: dm ? date : '', amount, description };
+    const fitid = tag('FITID');
+    if (fitid) t.fitid = fitid;
+    txns.push(t);
+  });
+
+  // The statement's account number, offered as the account name
+  const acct = String(text || '').match(/<ACCTID>([^<\r\n]*)/i);
+  if (acct && acct[1].trim()) report.accountId = acct[1].trim();
+
+  report.accepted = txns.length;
+  return { txns, report };
+}
+
+/**
+ * Parses a QIF statement
+ * Each record is a set of lines starting with a field letter (D = date,
+ * T = amount, P = payee, M = memo) and ends with a "^" line
+ * @param {string} text - File content
+ * @returns {Object} Object with {txns, report}
+ */
+function parseQif(text) {
+  const report = newImportReport('QIF statement');
+  const txns = [];
+
+  let rec = {};
+  let line = 0;
+
+  const finish = () => {
+    if (!Object.keys(rec).length) return;
+    line++;
+    report.rows++;
+
+    // Quicken writes dates like 1/06'25 or 01/06/2025 - tidy to D/M/YYYY
+    let date = String(rec.D || '').replace(/\s+/g, '').replace("'", '/');
+    date = date.replace(/^(\d{1,2}[\/-]\d{1,2}[\/-])(\d{2})$/, (m, dm, yy) => `${dm}20${yy}`);
+
+    // QIF amounts are negative for money out; the app uses positive for spending
+    const amount = -parseAmount(rec.T || rec.U);
+    const description = [rec.P, rec.M].filter(Boolean).join(' ').trim();
+
+    if (!amount) {
+      const reason = Number.isNaN(amount) ? `unreadable amount ("${rec.T || rec.U}")` : 'zero or missing amount';
+      report.skipped.push({ line, reason, raw: `${date} ${description}` });
+    } else {
+      txns.push({ date, amount, description, line });
+    }
+    rec = {};
   };
-  
-  reader.readAsText(file);
+
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const l = raw.trim();
+    if (!l || l.startsWith('!')) continue;   // Blank lines and !Type: headers
+
+    if (l === '^') {
+      finish();
+    } else {
+      rec[l[0].toUpperCase()] = l.slice(1).trim();
+    }
+  }
+  finish();  // Files don't always end with "^"
+
+  // Quicken files can be day-first or month-first, so look at every date
+  const detected = detectDateOrder(txns.map(t => t.date));
+  report.dateNote = dateOrderNote(detected);
+  normaliseTxnDates(txns, detected.order);
+
+  for (const t of txns) {
+    if (!t.iso) report.badDates.push({ line: t.line, date: t.date, description: t.description });
+    delete t.line;
+  }
+
+  report.accepted = txns.length;
+  return { txns, report };
 }
 
 // ============================================================================
-// SECTION 13: CATEGORY ASSIGNMENT (ADDING RULES)
+// SECTION 6B: IMPORT PROFILE EDITOR
 // ============================================================================
+// Lets the user describe each bank's CSV layout once and reuse it
 
 /**
- * Helper function to extract the next word after a marker in text
- * Example: "PAYPAL JOHNSSTORE" -> nextWordAfter("paypal", ...) returns "JOHNSSTORE"
- * @param {string} marker - The marker to look for
- * @param {string} desc - The description text
- * @returns {string} The next word after the marker
+ * Rebuilds both profile dropdowns (the import picker and the editor picker)
  */
-function nextWordAfter(marker, desc) {
-  const lower = (desc || '').toLowerCase();
-  const i = lower.indexOf(String(marker).toLowerCase());
-  
-  if (i === -1) return '';
-  
-  // Get text after the marker
-  let after = (desc || '').slice(i + String(marker).length);
-  
-  // Strip leading separators (space, dash, colon, slash, asterisk)
-  after = after.replace(/^[\s\-:\/*]+/, '');
-  
-  // Extract first merchant-like token
-  const m = after.match(/^([A-Za-z0-9&._]+)/);
-  return m ? m[1] : '';
+function rebuildProfileDropdowns() {
+  const profiles = getImportProfiles();
+  const options = profiles
+    .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    .join('');
+
+  const picker = document.getElementById('importProfile');
+  if (picker) {
+    const current = picker.value || loadJson(LS_KEYS.PROFILE, '');
+    picker.innerHTML = `<option value="">Auto-detect</option>` + options;
+    picker.value = profiles.some(p => p.id === current) ? current : '';
+  }
+
+  const editSel = document.getElementById('profileEditSelect');
+  if (editSel) {
+    const current = editSel.value;
+    editSel.innerHTML = `<option value="">+ New profile…</option>` + options;
+    editSel.value = profiles.some(p => p.id === current) ? current : '';
+    fillProfileForm(findImportProfile(editSel.value));
+  }
 }
 
+// Editor input for each mappable column
+const PROFILE_COLUMN_INPUTS = {
+  date: 'profileDateCol',
+  amount: 'profileAmountCol',
+  debit: 'profileDebitCol',
+  credit: 'profileCreditCol',
+  indicator: 'profileIndicatorCol',
+  description: 'profileDescCol'
+};
+
 /**
- * Derives a sensible keyword from a transaction description
- * Uses heuristics to handle PayPal, VISA-, and generic merchants
- * @param {Object} txn - Transaction object
- * @returns {string} Suggested keyword in uppercase
+ * Formats a stored column (0-based index or header name) for the editor
+ * @param {number|string} col - Stored column
+ * @returns {string} 1-based column number or the header name
  */
-function deriveKeywordFromTxn(txn) {
-  if (!txn) return "";
-  const desc = String(txn.description || txn.desc || "").trim();
-  if (!desc) return "";
+function columnToInput(col) {
+  return typeof col === 'number' ? String(col + 1) : String(col || '');
+}
 
-  // Tokenize into merchant-like words (skip very short noise)
-  const tokens = (desc.match(/[A-Za-z0-9&._]+/g) || []).map(s => s.toLowerCase());
-  if (!tokens.length) return "";
+/**
+ * Reads a column from the editor: a number counts from 1, anything else is a header name
+ * @param {string} value - Text typed by the user
+ * @returns {number|string} 0-based index or header name
+ */
+function inputToColumn(value) {
+  const v = String(value || '').trim();
+  return /^\d+$/.test(v) && Number(v) > 0 ? Number(v) - 1 : v;
+}
 
-  // Helper to join a window of up to 3 consecutive tokens from index k
-  function join3(k) {
-    const slice = tokens.slice(k, k + 3).filter(Boolean);
-    return slice.map(s => s.toUpperCase()).join(' ');
+/**
+ * Fills the profile editor form
+ * @param {Object|null} profile - Profile to show (null = blank form for a new profile)
+ */
+function fillProfileForm(profile) {
+  const p = profile || { name: '', delimiter: '', headerRow: 'auto', skipRows: 0, columns: {} };
+
+  document.getElementById('profileName').value = p.name;
+  document.getElementById('profileDelimiter').value = p.delimiter;
+  document.getElementById('profileHeader').value = p.headerRow;
+  document.getElementById('profileSkip').value = p.skipRows;
+  document.getElementById('profileNumberFormat').value = p.numberFormat || 'auto';
+  document.getElementById('profileDateFormat').value = p.dateFormat || 'auto';
+  document.getElementById('profileAmountMode').value = p.amountMode || 'single';
+  document.getElementById('profileSpendSign').value = p.spendSign || 'positive';
+  for (const [field, id] of Object.entries(PROFILE_COLUMN_INPUTS)) {
+    document.getElementById(id).value = columnToInput(p.columns[field]);
   }
+  updateProfileFormFields();
 
-  const up = desc.toUpperCase();
+  // The built-in profile is read-only; saving it creates a copy
+  const isDefault = profile && profile.id === DEFAULT_IMPORT_PROFILE.id;
+  document.getElementById('deleteProfileBtn').disabled = !profile || isDefault;
+  UNSAVED_FORMS.delete('profile');
+}
 
-  // PayPal heuristic: start window at "paypal"
-  const paypalIdx = tokens.indexOf('paypal');
-  if (paypalIdx !== -1) {
-    return join3(paypalIdx);
+/**
+ * Shows only the column inputs (and sign option) the chosen amount layout uses
+ */
+function updateProfileFormFields() {
+  const amountMode = document.getElementById('profileAmountMode').value;
+  const fields = profileFields({ amountMode });
+
+  for (const [field, id] of Object.entries(PROFILE_COLUMN_INPUTS)) {
+    document.getElementById(id).closest('label').style.display = fields.includes(field) ? '' : 'none';
   }
+  document.getElementById('profileSpendSign').closest('label').style.display = amountMode === 'single' ? '' : 'none';
+}
 
-  // VISA- heuristic: if original text has "VISA-" then prefer the token AFTER "visa"
-  if (/\bVISA-/.test(up)) {
-    const visaTokIdx = tokens.indexOf('visa');
-    if (visaTokIdx !== -1) {
-      // Start at the next token after 'visa' to skip the prefix
-      const start = Math.min(visaTokIdx + 1, Math.max(0, tokens.length - 1));
-      return join3(start);
-    }
+/**
+ * Saves the profile currently shown in the editor
+ */
+function saveProfileFromForm() {
+  const editSel = document.getElementById('profileEditSelect');
+  const name = document.getElementById('profileName').value.trim();
+  const amountMode = document.getElementById('profileAmountMode').value;
+
+  // Only keep the columns this amount layout uses
+  const columns = {};
+  for (const field of profileFields({ amountMode })) {
+    columns[field] = inputToColumn(document.getElementById(PROFILE_COLUMN_INPUTS[field]).value);
   }
 
-  // Generic: first 3 merchant-like tokens
-  return join3(0);
+  if (!name || Object.values(columns).some(c => c === '')) {
+    showSaveStatus('✕ A profile needs a name and every column for its amount layout', 'error');
+    return;
+  }
+
+  // Editing the built-in profile (or a new one) saves a new custom profile
+  let id = editSel.value;
+  if (!id || id === DEFAULT_IMPORT_PROFILE.id) id = `profile_${Date.now()}`;
+
+  const profile = {
+    id,
+    name,
+    delimiter: document.getElementById('profileDelimiter').value,
+    headerRow: document.getElementById('profileHeader').value,
+    skipRows: Math.max(0, parseInt(document.getElementById('profileSkip').value, 10) || 0),
+    numberFormat: document.getElementById('profileNumberFormat').value,
+    dateFormat: document.getElementById('profileDateFormat').value,
+    amountMode,
+    spendSign: document.getElementById('profileSpendSign').value,
+    columns
+  };
+
+  const custom = getImportProfiles().filter(p => p.id !== DEFAULT_IMPORT_PROFILE.id && p.id !== id);
+  saveImportProfiles([...custom, profile]);
+
+  editSel.value = id;
+  rebuildProfileDropdowns();
+  showSaveStatus(`✓ Saved profile "${name}"`, 'success');
 }
 
 /**
- * Adds or updates a rule in the rules textarea
- * @param {string} keywordUpper - Keyword in uppercase
- * @param {string} categoryUpper - Category in uppercase
- * @returns {boolean} True if rule was added/updated
+ * Deletes the profile currently shown in the editor
  */
-function addOrUpdateRuleLine(keywordUpper, categoryUpper) {
-  if (!keywordUpper || !categoryUpper) return false;
-  
-  const box = document.getElementById('rulesBox');
-  if (!box) return false;
-  
-  const lines = String(box.value || '').split(/\r?\n/);
+function deleteProfileFromForm() {
+  const editSel = document.getElementById('profileEditSelect');
+  const id = editSel.value;
+  if (!id || id === DEFAULT_IMPORT_PROFILE.id) return;
 
-  let updated = false;
-  const kwLower = keywordUpper.toLowerCase();
-  
-  // Check if keyword already exists
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.startsWith('#')) continue;
-    
-    const parts = line.split(/=>/i);
-    if (parts.length >= 2) {
-      const existingKw = parts[0].trim().toLowerCase();
-      
-      if (existingKw === kwLower) {
-        // Update existing rule
-        lines[i] = `${keywordUpper} => ${categoryUpper}`;
-        updated = true;
-        break;
-      }
-    }
+  saveImportProfiles(getImportProfiles().filter(p => p.id !== id));
+
+  editSel.value = '';
+  rebuildProfileDropdowns();
+}
+
+// ============================================================================
+// SECTION 7: PERIOD FILTERING (MONTHS, QUARTERS, FINANCIAL YEARS, RANGES)
+// ============================================================================
+// The period filter is a single string, so it saves and restores like the
+// old month filter (plain 'YYYY-MM' values still work):
+//   ''                        all transactions
+//   '2025-06'                 one month
+//   '2025-Q3'                 calendar quarter (July to September 2025)
+//   'FY2025'                  Australian financial year ending June 2025 (1 Jul 2024 - 30 Jun 2025)
+//   '2025-01-01..2025-03-31'  custom range (either end may be left open)
+//   'PAY2025-06-12'           pay cycle starting on that payday (see SECTION 7B)
+
+// Dropdown value that shows the custom from/to date boxes
+const CUSTOM_PERIOD = '__custom__';
+
+/**
+ * Gets the last day of a month
+ * @param {string} ym - Month in 'YYYY-MM' format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function lastDayOfMonth(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  return `${ym}-${String(new Date(y, m, 0).getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Gets the calendar quarter a month falls in
+ * @param {string} ym - Month in 'YYYY-MM' format
+ * @returns {string} Quarter, e.g. '2025-Q3'
+ */
+function quarterOf(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  return `${y}-Q${Math.ceil(m / 3)}`;
+}
+
+/**
+ * Gets the Australian financial year (July to June) a month falls in
+ * It's named after the year it ends in, so July 2024 is in FY2025
+ * @param {string} ym - Month in 'YYYY-MM' format
+ * @returns {string} Financial year, e.g. 'FY2025'
+ */
+function financialYearOf(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  return `FY${m >= 7 ? y + 1 : y}`;
+}
+
+/**
+ * Works out the first and last day of a period
+ * @param {string} period - Period value (see the top of this section)
+ * @returns {Object|null} {from, to} as YYYY-MM-DD ('' for an open end), or null for all / unreadable
+ */
+function periodRange(period) {
+  const p = String(period || '');
+  let m;
+
+  if ((m = p.match(/^(\d{4})-(\d{2})$/))) {
+    return { from: `${p}-01`, to: lastDayOfMonth(p) };
   }
-  
-  // If not found, add new rule
-  if (!updated) {
-    lines.push(`${keywordUpper} => ${categoryUpper}`);
+  if ((m = p.match(/^(\d{4})-Q([1-4])$/))) {
+    const first = (Number(m[2]) - 1) * 3 + 1;
+    return {
+      from: `${m[1]}-${String(first).padStart(2, '0')}-01`,
+      to: lastDayOfMonth(`${m[1]}-${String(first + 2).padStart(2, '0')}`)
+    };
+  }
+  if ((m = p.match(/^FY(\d{4})$/))) {
+    return { from: `${Number(m[1]) - 1}-07-01`, to: `${m[1]}-06-30` };
+  }
+  if ((m = p.match(/^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/)) && (m[1] || m[2])) {
+    return { from: m[1] || '', to: m[2] || '' };
+  }
+  if ((m = p.match(/^PAY(\d{4}-\d{2}-\d{2})$/)) && isValidPayCycle(PAY_CYCLE)) {
+    const from = payCycleStart(m[1]);
+    return { from, to: payCycleEnd(from) };
+  }
+  return null;
+}
+
+/**
+ * Makes a friendly label for a period
+ * Examples: "June 2025", "Q3 2025 (Jul–Sep)", "FY 2024–25", "1 Jan 2025 – 31 Mar 2025",
+ * "Pay 12 Jun 2025 – 25 Jun 2025"
+ * @param {string} period - Period value
+ * @returns {string} Label for banners, headers and file names
+ */
+function periodLabel(period) {
+  const p = String(period || '');
+  const range = periodRange(p);
+  if (!range) return 'All months';
+
+  if (/^\d{4}-\d{2}$/.test(p)) return formatMonthLabel(p);
+
+  let m;
+  if ((m = p.match(/^(\d{4})-Q([1-4])$/))) {
+    const months = ['Jan–Mar', 'Apr–Jun', 'Jul–Sep', 'Oct–Dec'][Number(m[2]) - 1];
+    return `Q${m[2]} ${m[1]} (${months})`;
+  }
+  if ((m = p.match(/^FY(\d{4})$/))) {
+    return `FY ${Number(m[1]) - 1}–${m[1].slice(2)}`;
+  }
+  if (p.startsWith('PAY')) {
+    return `Pay ${formatDayLabel(range.from)} – ${formatDayLabel(range.to)}`;
+  }
+
+  if (!range.from) return `Up to ${formatDayLabel(range.to)}`;
+  if (!range.to) return `From ${formatDayLabel(range.from)}`;
+  return `${formatDayLabel(range.from)} – ${formatDayLabel(range.to)}`;
+}
+
+/**
+ * Describes a period in full: quarters and financial years also get their dates
+ * Example: "FY 2024–25 (1 Jul 2024 – 30 Jun 2025)"
+ * @param {string} period - Period value
+ * @returns {string} Label for the banner and the totals export header
+ */
+function periodDescription(period) {
+  const label = periodLabel(period);
+  if (!/^(\d{4}-Q[1-4]|FY\d{4})$/.test(String(period || ''))) return label;
+
+  const range = periodRange(period);
+  return `${label}, ${formatDayLabel(range.from)} – ${formatDayLabel(range.to)}`;
+}
+
+/**
+ * Checks whether a transaction falls in a date range
+ * @param {Object} t - Transaction
+ * @param {Object} range - {from, to} from periodRange
+ * @returns {boolean} True if it's inside (transactions without a date never are)
+ */
+function txnInRange(t, range) {
+  if (!t.iso) return false;
+  return (!range.from || t.iso >= range.from) && (!range.to || t.iso <= range.to);
+}
+
+/**
+ * Rebuilds the period dropdown from the months in the transactions:
+ * pay cycles (when one is set up), financial years, quarters and months
+ * that have data, plus "Custom range…"
+ * This runs after a file is loaded to populate the period filter options
+ */
+function rebuildPeriodDropdown() {
+  const sel = document.getElementById('periodFilter');
+  
+  // Use a Set to collect unique months (Sets automatically remove duplicates)
+  const months = new Set();
+  
+  // Loop through all transactions and extract their month
+  for (const t of CURRENT_TXNS) {
+    if (t.iso) months.add(txnMonth(t));  // Add month in YYYY-MM format
+  }
+  
+  // Convert Set to Array and sort chronologically
+  const list = Array.from(months).sort();
+  const quarters = [...new Set(list.map(quarterOf))];
+  const years = [...new Set(list.map(financialYearOf))];
+  const payCycles = listPayCycles();
+
+  const options = (values) => values.map(v => `<option value="${v}">${escapeHtml(periodLabel(v))}</option>`).join('');
+  
+  // Build dropdown HTML
+  let html = `<option value="">All months</option>`;
+  if (payCycles.length) html += `<optgroup label="Pay cycles (${PAY_CYCLE_NAMES[PAY_CYCLE.length]})">${options(payCycles)}</optgroup>`;
+  if (years.length) html += `<optgroup label="Financial years (Jul–Jun)">${options(years)}</optgroup>`;
+  if (quarters.length) html += `<optgroup label="Quarters">${options(quarters)}</optgroup>`;
+  if (list.length) html += `<optgroup label="Months">${options(list)}</optgroup>`;
+
+  // A custom range gets its own entry so it shows as selected
+  const current = PERIOD_FILTER;
+  const isCustom = current.includes('..') && periodRange(current);
+  html += `<optgroup label="Custom">${isCustom ? options([current]) : ''}<option value="${CUSTOM_PERIOD}">Custom range…</option></optgroup>`;
+  sel.innerHTML = html;
+  
+  // Restore previously selected period (if it's still in the list)
+  const values = [...sel.options].map(o => o.value);
+  sel.value = current && values.includes(current) ? current : "";
+
+  showCustomPeriodInputs(!!isCustom);
+  updateMonthBanner();
+}
+
+/**
+ * Shows or hides the custom range date boxes, filled in from the current period
+ * @param {boolean} show - True to show them
+ */
+function showCustomPeriodInputs(show) {
+  document.getElementById('periodCustom').style.display = show ? '' : 'none';
+  if (!show) return;
+
+  const range = periodRange(PERIOD_FILTER) || { from: '', to: '' };
+  document.getElementById('periodFrom').value = range.from;
+  document.getElementById('periodTo').value = range.to;
+}
+
+/**
+ * Selects a period, saves it and redraws everything
+ * @param {string} period - Period value ('' for all)
+ */
+function setPeriodFilter(period) {
+  PERIOD_FILTER = period || "";
+  saveJson(LS_KEYS.MONTH, PERIOD_FILTER);
+
+  rebuildPeriodDropdown();
+  CURRENT_PAGE = 1;
+  applyRulesAndRender();
+}
+
+/**
+ * Applies the dates typed in the custom range boxes
+ */
+function applyCustomPeriod() {
+  const from = document.getElementById('periodFrom').value;
+  const to = document.getElementById('periodTo').value;
+
+  if (!from && !to) {
+    showSaveStatus('✕ Pick a start date, an end date or both', 'error');
+    return;
+  }
+  if (from && to && from > to) {
+    showSaveStatus('✕ The start date is after the end date', 'error');
+    return;
+  }
+
+  setPeriodFilter(`${from}..${to}`);
+}
+
+/**
+ * Returns transactions filtered by the selected period and account
+ * @returns {Array} Filtered array of transactions
+ */
+function periodFilteredTxns() {
+  const txns = accountFilteredTxns();
+
+  // If no period is selected (or it can't be read), return all transactions
+  const range = periodRange(PERIOD_FILTER);
+  if (!range) return txns;
+  
+  // Filter transactions to only those inside the period
+  return txns.filter(t => txnInRange(t, range));
+}
+
+// ============================================================================
+// SECTION 7A: ACCOUNTS
+// ============================================================================
+// Each import can be tagged with an account name (e.g. "Everyday", "Visa"),
+// which is stored on its transactions as t.account
+
+/**
+ * Normalises an account name for comparing, e.g. "Everyday Card" -> "everyday-card"
+ * @param {string} name - Account name
+ * @returns {string} Lowercase name with spaces/underscores as dashes
+ */
+function accountKey(name) {
+  return String(name || '').trim().toLowerCase().replace(/[\s_-]+/g, '-');
+}
+
+/**
+ * Lists the account names used by the loaded transactions
+ * @returns {Array} Sorted account names
+ */
+function listAccounts() {
+  const names = new Set(CURRENT_TXNS.map(t => t.account).filter(Boolean));
+  return [...names].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Returns transactions filtered by the selected account
+ * @returns {Array} Filtered array of transactions
+ */
+function accountFilteredTxns() {
+  if (!ACCOUNT_FILTER) return CURRENT_TXNS;
+  if (ACCOUNT_FILTER === NO_ACCOUNT) return CURRENT_TXNS.filter(t => !t.account);
+  return CURRENT_TXNS.filter(t => t.account === ACCOUNT_FILTER);
+}
+
+/**
+ * Rebuilds the account filter dropdown and the import account suggestions
+ */
+function rebuildAccountDropdown() {
+  const accounts = listAccounts();
+  const sel = document.getElementById('accountFilter');
+  const hasUntagged = CURRENT_TXNS.some(t => !t.account);
+
+  let html = `<option value="">All accounts</option>` +
+    accounts.map(a => `<option value="${escapeHtml(a)}">${escapeHtml(a)}</option>`).join('');
+  if (accounts.length && hasUntagged) html += `<option value="${NO_ACCOUNT}">(no account)</option>`;
+  sel.innerHTML = html;
+
+  // Restore previously selected account (if it still exists)
+  const stillThere = ACCOUNT_FILTER === NO_ACCOUNT ? hasUntagged : accounts.includes(ACCOUNT_FILTER);
+  if (!stillThere) ACCOUNT_FILTER = '';
+  sel.value = ACCOUNT_FILTER;
+
+  // The account box on the load card suggests names already in use
+  document.getElementById('accountNames').innerHTML =
+    accounts.map(a => `<option value="${escapeHtml(a)}"></option>`).join('');
+}
+
+// ============================================================================
+// SECTION 7B: PAY CYCLES
+// ============================================================================
+// A pay cycle splits time into periods from one payday to the day before the
+// next, instead of calendar months. It's set up once (saved as PAY_CYCLE):
+//   {length: 'weekly' | 'fortnightly' | 'fourweekly', anchor: 'YYYY-MM-DD'}
+//     paid every 7, 14 or 28 days, counting from any one payday (the anchor)
+//   {length: 'monthly', day: 15}
+//     paid on the same day each month (the last day in shorter months)
+// A pay cycle period is 'PAY' plus the date it starts, e.g. 'PAY2025-06-12'
+
+// How many days each repeating pay cycle lasts (monthly is worked out by date)
+const PAY_CYCLE_DAYS = { weekly: 7, fortnightly: 14, fourweekly: 28 };
+
+// Friendly names for the dropdown group
+const PAY_CYCLE_NAMES = { weekly: 'weekly', fortnightly: 'fortnightly', fourweekly: 'four-weekly', monthly: 'monthly' };
+
+/**
+ * Checks that a saved pay cycle has everything it needs
+ * @param {Object} cycle - Pay cycle settings
+ * @returns {boolean} True if periods can be worked out from it
+ */
+function isValidPayCycle(cycle) {
+  if (!cycle) return false;
+  if (cycle.length === 'monthly') return cycle.day >= 1 && cycle.day <= 31;
+  return !!PAY_CYCLE_DAYS[cycle.length] && !!dateFromIso(cycle.anchor);
+}
+
+/**
+ * Moves an ISO date by a number of days
+ * @param {string} iso - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} New date in YYYY-MM-DD format
+ */
+function addDays(iso, days) {
+  const d = dateFromIso(iso);
+  d.setDate(d.getDate() + days);
+  return toIsoDate(d);
+}
+
+/**
+ * Gets the payday in a month for a monthly pay cycle
+ * Paydays on the 29th-31st move to the last day of shorter months
+ * @param {string} ym - Month in 'YYYY-MM' format
+ * @param {number} day - Day of the month payday falls on
+ * @returns {string} Payday in YYYY-MM-DD format
+ */
+function monthlyPayday(ym, day) {
+  const last = Number(lastDayOfMonth(ym).slice(8));
+  return `${ym}-${String(Math.min(day, last)).padStart(2, '0')}`;
+}
+
+/**
+ * Finds the first day of the pay cycle a date falls in
+ * @param {string} iso - Date in YYYY-MM-DD format
+ * @param {Object} cycle - Pay cycle settings (defaults to the saved one)
+ * @returns {string} Payday that starts the cycle, in YYYY-MM-DD format
+ */
+function payCycleStart(iso, cycle = PAY_CYCLE) {
+  if (cycle.length === 'monthly') {
+    const ym = iso.slice(0, 7);
+    const payday = monthlyPayday(ym, cycle.day);
+    if (iso >= payday) return payday;
+
+    // Before this month's payday, so still in the cycle that started last month
+    const [y, m] = ym.split('-').map(Number);
+    return monthlyPayday(yyyymm(new Date(y, m - 2, 1)), cycle.day);
+  }
+
+  // Whole cycles since the anchor payday (negative for dates before it)
+  const days = PAY_CYCLE_DAYS[cycle.length];
+  const cycles = Math.floor(daysBetween(cycle.anchor, iso) / days);
+  return addDays(cycle.anchor, cycles * days);
+}
+
+/**
+ * Finds the last day of a pay cycle (the day before the next payday)
+ * @param {string} start - Payday that starts the cycle
+ * @param {Object} cycle - Pay cycle settings (defaults to the saved one)
+ * @returns {string} Last day in YYYY-MM-DD format
+ */
+function payCycleEnd(start, cycle = PAY_CYCLE) {
+  if (cycle.length === 'monthly') {
+    const [y, m] = start.split('-').map(Number);
+    return addDays(monthlyPayday(yyyymm(new Date(y, m, 1)), cycle.day), -1);
+  }
+  return addDays(start, PAY_CYCLE_DAYS[cycle.length] - 1);
+}
+
+/**
+ * Lists the pay cycles that have transactions, oldest first
+ * @returns {Array} Period values such as 'PAY2025-06-12' (empty without a pay cycle)
+ */
+function listPayCycles() {
+  if (!isValidPayCycle(PAY_CYCLE)) return [];
+
+  const starts = new Set();
+  for (const t of CURRENT_TXNS) {
+    if (t.iso) starts.add(payCycleStart(t.iso));
+  }
+  return [...starts].sort().map(start => `PAY${start}`);
+}
+
+/**
+ * Shows the saved pay cycle in the settings form
+ */
+function fillPayCycleForm() {
+  const cycle = PAY_CYCLE || {};
+  document.getElementById('payCycleLength').value = cycle.length || '';
+  document.getElementById('payCycleAnchor').value = cycle.anchor || '';
+  document.getElementById('payCycleDay').value = cycle.day || '';
+  updatePayCycleFields();
+  UNSAVED_FORMS.delete('payCycle');
+}
+
+/**
+ * Shows the payday date box for weekly/fortnightly/four-weekly cycles,
+ * and the day-of-month box for monthly ones
+ */
+function updatePayCycleFields() {
+  const length = document.getElementById('payCycleLength').value;
+  document.getElementById('payCycleAnchor').closest('label').style.display = PAY_CYCLE_DAYS[length] ? '' : 'none';
+  document.getElementById('payCycleDay').closest('label').style.display = length === 'monthly' ? '' : 'none';
+}
+
+/**
+ * Saves the pay cycle from the settings form, or turns pay cycles off
+ * when "No pay cycle" is chosen
+ */
+function savePayCycleFromForm() {
+  const length = document.getElementById('payCycleLength').value;
+  let cycle = null;
+
+  if (length === 'monthly') {
+    cycle = { length, day: parseInt(document.getElementById('payCycleDay').value, 10) };
+  } else if (length) {
+    cycle = { length, anchor: document.getElementById('payCycleAnchor').value };
+  }
+
+  if (cycle && !isValidPayCycle(cycle)) {
+    showSaveStatus(length === 'monthly'
+      ? '✕ Enter the day of the month you are paid (1-31)'
+      : '✕ Pick the date of any payday', 'error');
+    return;
+  }
+
+  PAY_CYCLE = cycle;
+  saveJson(LS_KEYS.PAY_CYCLE, cycle);
+  UNSAVED_FORMS.delete('payCycle');
+
+  // A pay cycle period from the old settings no longer means anything
+  if (PERIOD_FILTER.startsWith('PAY')) {
+    setPeriodFilter(cycle ? `PAY${payCycleStart(PERIOD_FILTER.slice(3))}` : '');
+  } else {
+    rebuildPeriodDropdown();
+  }
+
+  showSaveStatus(cycle ? `✓ Saved ${PAY_CYCLE_NAMES[length]} pay cycle` : '✓ Pay cycle turned off', 'success');
+}
+
+// ============================================================================
+// SECTION 8: CATEGORIZATION RULES
+// ============================================================================
+
+/**
+ * Splits the left-hand side of a rule into tokens
+ * Works like splitting on spaces, except a /regular expression/ stays one
+ * token even if it contains spaces (e.g. "/uber eats/i")
+ * @param {string} text - Left-hand side of a rule
+ * @returns {Array} Array of token strings
+ */
+function tokenizeRule(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) { i++; continue; }
+
+    const start = i;
+    const slashAt = text[i] === '/' ? i : (text[i] === '-' && text[i + 1] === '/' ? i + 1 : -1);
+
+    if (slashAt !== -1) {
+      // Find the closing slash, skipping escaped characters like \/
+      let j = slashAt + 1;
+      while (j < text.length && text[j] !== '/') j += text[j] === '\\' ? 2 : 1;
+
+      if (j < text.length) {
+        j++;
+        while (j < text.length && /[a-z]/i.test(text[j])) j++;  // Flags
+        if (j >= text.length || /\s/.test(text[j])) {
+          tokens.push(text.slice(start, j));
+          i = j;
+          continue;
+        }
+      }
+    }
+
+    // Ordinary token: everything up to the next space
+    while (i < text.length && !/\s/.test(text[i])) i++;
+    tokens.push(text.slice(start, i));
+  }
+
+  return tokens;
+}
+
+/**
+ * Builds a RegExp from a "/pattern/flags" token (always case-insensitive)
+ * @param {string} token - Token such as "/^uber\s*eats/"
+ * @returns {RegExp} The regular expression
+ * @throws {Error} If the pattern isn't a valid regular expression
+ */
+function regexFromToken(token) {
+  const m = token.match(/^\/(.*)\/([a-z]*)$/i);
+  const flags = Array.from(new Set((m[2] + 'i').replace(/[gy]/g, '').split(''))).join('');
+  return new RegExp(m[1], flags);
+}
+
+// Weekday names for "day:" conditions (index matches Date.getDay(), 0 = Sunday)
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Reads a condition token such as "amount<=2", "type:credit",
+ * "date>=2025-07-01", "date:2025-01-01..2025-03-31" or "day:sat,sun"
+ * @param {string} token - Token from the left-hand side of a rule
+ * @returns {Object|null} Condition object, null if the token isn't a condition
+ * @throws {Error} If the token looks like a condition but can't be read
+ */
+function parseRuleCondition(token) {
+  const lower = token.toLowerCase();
+  let m;
+
+  // amount<=2, amount>100, amount=5, amount!=5, amount:10..20 (compares the size, ignoring sign)
+  m = lower.match(/^amount(<=|>=|!=|<|>|=|:)(.*)$/);
+  if (m) {
+    if (m[1] === ':') {
+      const r = m[2].match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+      if (!r) throw new Error(`amount range should look like amount:10..20 ("${token}")`);
+      return { kind: 'amount', op: 'between', value: [Number(r[1]), Number(r[2])] };
+    }
+    if (!/^\d+(\.\d+)?$/.test(m[2])) throw new Error(`amount needs a number ("${token}")`);
+    return { kind: 'amount', op: m[1], value: Number(m[2]) };
+  }
+
+  // type:debit (money spent) or type:credit (money received)
+  m = lower.match(/^type:(.*)$/);
+  if (m) {
+    if (m[1] !== 'debit' && m[1] !== 'credit') throw new Error(`type should be debit or credit ("${token}")`);
+    return { kind: 'type', op: '=', value: m[1] };
+  }
+
+  // date>=2025-07-01, date<2026-01-01, date:2025-01-01..2025-03-31
+  m = lower.match(/^date(<=|>=|<|>|=|:)(.*)$/);
+  if (m) {
+    const iso = '\\d{4}-\\d{2}-\\d{2}';
+    if (m[1] === ':') {
+      const r = m[2].match(new RegExp(`^(${iso})\\.\\.(${iso})$`));
+      if (!r) throw new Error(`date range should look like date:2025-01-01..2025-03-31 ("${token}")`);
+      return { kind: 'date', op: 'between', value: [r[1], r[2]] };
+    }
+    if (!new RegExp(`^${iso}$`).test(m[2])) throw new Error(`date should be YYYY-MM-DD ("${token}")`);
+    return { kind: 'date', op: m[1], value: m[2] };
+  }
+
+  // account:savings or account:everyday-card (only transactions from that account)
+  m = lower.match(/^account:(.*)$/);
+  if (m) {
+    if (!m[1]) throw new Error(`account needs a name, e.g. account:savings ("${token}")`);
+    return { kind: 'account', op: '=', value: accountKey(m[1]) };
+  }
+
+  // day:sat or day:mon,tue,wed
+  m = lower.match(/^day:(.*)$/);
+  if (m) {
+    const days = m[1].split(',').map(d => WEEKDAYS.indexOf(d.trim().slice(0, 3)));
+    if (!days.length || days.includes(-1)) throw new Error(`day should be weekday names like day:sat,sun ("${token}")`);
+    return { kind: 'day', op: 'in', value: days };
+  }
+
+  return null;
+}
+
+/**
+ * Compares two values with a condition operator
+ * @param {*} a - Value from the transaction
+ * @param {string} op - One of < <= > >= = != between in
+ * @param {*} b - Value from the rule
+ * @returns {boolean} True if the comparison holds
+ */
+function compareOp(a, op, b) {
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case 'between': return a >= b[0] && a <= b[1];
+    case 'in': return b.includes(a);
+    default: return false;
+  }
+}
+
+/**
+ * Checks one rule condition against a transaction
+ * @param {Object} cond - Condition from parseRuleCondition
+ * @param {Object} t - Transaction
+ * @returns {boolean} True if the transaction meets the condition
+ */
+function testRuleCondition(cond, t) {
+  const amount = Number(t.amount) || 0;
+
+  switch (cond.kind) {
+    case 'amount':
+      // Rounded to cents so 2.00 from a file equals amount=2 exactly
+      return compareOp(Math.round(Math.abs(amount) * 100) / 100, cond.op, cond.value);
+    case 'type':
+      return cond.value === 'credit' ? amount < 0 : amount > 0;
+    case 'date':
+      return !!t.iso && compareOp(t.iso, cond.op, cond.value);
+    case 'day': {
+      const d = dateFromIso(t.iso);
+      return !!d && compareOp(d.getDay(), cond.op, cond.value);
+    }
+    case 'account':
+      return accountKey(t.account) === cond.value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Finds where "=>" appears in a rule line, outside any /regular expression/
+ * @param {string} text - One rule line
+ * @returns {Array} Positions of each "=>" (a proper rule has exactly one)
+ */
+function findRuleArrows(text) {
+  const arrows = [];
+  let from = 0;
+
+  for (const token of tokenizeRule(text)) {
+    const at = text.indexOf(token, from);
+    from = at + token.length;
+    if (/^-?\/.*\/[a-z]*$/i.test(token) && token.length > 2) continue;
+
+    for (let i = token.indexOf('=>'); i !== -1; i = token.indexOf('=>', i + 2)) arrows.push(at + i);
+  }
+  return arrows;
+}
+
+/**
+ * Parses rules text into an array of rule objects
+ * Rule format: "KEYWORD => CATEGORY" (one per line), where the left-hand side
+ * may also contain (all parts must match):
+ * - /regular expression/   e.g. /^uber\s*\*?eats/ => TAKEAWAY
+ * - -word to exclude       e.g. woolworths -petrol => GROCERIES
+ * - conditions             amount<=2, type:credit, date>=2025-07-01, day:sat,sun
+ * Lines that can't be read are skipped; pass an array as "problems" to find out why
+ * @param {string} text - Raw rules text from textarea
+ * @param {Array} problems - Optional; receives {line, text, reason} for each skipped line
+ * @returns {Array} Array of rule objects ({keyword, category, regex, excludes, conditions, line, source})
+ */
+function parseRules(text, problems = null) {
+  // Split text into lines (handles both Windows \r\n and Unix \n line endings)
+  const lines = String(text || "").split(/\r?\n/);
+  const rules = [];
+  const problem = (line, reason) => problems && problems.push({ line, text: lines[line - 1].trim(), reason });
+  
+  lines.forEach((lineText, i) => {
+    const trimmed = lineText.trim();
+    const line = i + 1;
+    
+    // Skip empty lines and comments (lines starting with #)
+    // Lines starting with @ are directives, read by parseDirectives
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('@')) return;
+    
+    // Split on the "=>" that separates the left-hand side from the category
+    // (a /regular expression/ may contain "=>" of its own)
+    const arrows = findRuleArrows(trimmed);
+    if (!arrows.length) return problem(line, 'missing "=>"');
+    if (arrows.length > 1) return problem(line, 'more than one "=>" (put a "=>" you want to match inside a /regular expression/)');
+
+    const arrow = arrows[0];
+    const left = trimmed.slice(0, arrow).trim();
+    const category = normaliseCategory(trimmed.slice(arrow + 2));  // Categories are uppercase for consistency
+    if (!left) return problem(line, 'nothing before "=>"');
+    if (!category) return problem(line, 'no category after "=>"');
+
+    const rule = { keyword: '', category, regex: null, excludes: [], conditions: [], line, source: trimmed };
+    const words = [];
+
+    try {
+      for (const token of tokenizeRule(left)) {
+        if (/^\/.*\/[a-z]*$/i.test(token) && token.length > 2) {
+          rule.regex = regexFromToken(token);
+        } else if (token.length > 1 && token.startsWith('-')) {
+          const rest = token.slice(1);
+          rule.excludes.push(/^\/.*\/[a-z]*$/i.test(rest) ? regexFromToken(rest) : rest.toLowerCase());
+        } else {
+          const cond = parseRuleCondition(token);
+          if (cond) rule.conditions.push(cond);
+          else words.push(token.toLowerCase());  // Keywords are lowercase for matching
+        }
+      }
+    } catch (e) {
+      return problem(line, e.message);
+    }
+
+    rule.keyword = words.join(' ');
+    rules.push(rule);
+  });
+  
+  return rules;
+}
+
+/**
+ * Upgrades rules text written for an older version of SpendLite
+ * Older versions turned PETROL purchases of $2 or less into COFFEE behind the
+ * scenes. Version 2 puts that in the rules instead: each PETROL rule gets an
+ * "... amount<=2 => COFFEE" rule just above it, with the same left-hand side.
+ * Text already marked as the current version is returned unchanged
+ * @param {string} text - Rules text (saved, from a file or from a backup)
+ * @returns {string} Rules text with a "# rules-version:" line
+ */
+function upgradeRulesText(text) {
+  const str = String(text || '');
+  const marker = /^\s*#\s*rules-version:\s*(\d+)/i;
+  const versionLine = str.split(/\r?\n/).find(l => marker.test(l));
+  const version = versionLine ? Number(versionLine.match(marker)[1]) : 1;
+  if (!str.trim() || version >= RULES_VERSION) return str;
+
+  const lines = [`# rules-version: ${RULES_VERSION}`];
+  for (const lineText of str.split(/\r?\n/)) {
+    if (marker.test(lineText)) continue;
+
+    const rule = parseRules(lineText)[0];
+    if (version < 2 && rule && rule.category === 'PETROL') {
+      const left = rule.source.slice(0, findRuleArrows(rule.source)[0]).trim();
+      const coffee = `${left} amount<=2 => COFFEE`;
+      if (lines[lines.length - 1].trim() !== coffee) lines.push(lineText.match(/^\s*/)[0] + coffee);
+    }
+    lines.push(lineText);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Reads the directive lines (starting with @) from the rules text
+ * - "@budget CATEGORY AMOUNT" sets a monthly budget for a category
+ * - "@transfer KEYWORD" marks matching transactions as transfers between own accounts
+ * @param {string} text - Raw rules text
+ * @param {Array|null} problems - If given, unreadable directives are pushed here as {line, text, reason}
+ * @returns {Object} Object with {budgets, transfers} - a Map of CATEGORY -> monthly amount,
+ *   and an array of lowercase transfer keywords
+ */
+function parseDirectives(text, problems = null) {
+  const lines = String(text || "").split(/\r?\n/);
+  const directives = { budgets: new Map(), transfers: [] };
+
+  lines.forEach((lineText, i) => {
+    const trimmed = lineText.trim();
+    if (!trimmed.startsWith('@')) return;
+
+    const problem = (reason) => problems && problems.push({ line: i + 1, text: trimmed, reason });
+    const m = trimmed.match(/^@(\w*)\s*(.*)$/);
+    const name = m[1].toLowerCase();
+    const args = m[2].trim();
+
+    if (name === 'budget') {
+      // Category may contain spaces, so the amount is the last word
+      const b = args.match(/^(.+?)\s+(\S+)$/);
+      const amount = b ? parseAmount(b[2]) : NaN;
+      if (!b || isNaN(amount) || amount <= 0) {
+        return problem('@budget needs a category and an amount, e.g. "@budget GROCERIES 800"');
+      }
+      directives.budgets.set(normaliseCategory(b[1]), amount);
+    } else if (name === 'transfer') {
+      if (!args) return problem('@transfer needs a keyword, e.g. "@transfer savings transfer"');
+      directives.transfers.push(args.toLowerCase());
+    } else {
+      problem(`unknown directive "@${name}"`);
+    }
+  });
+
+  return directives;
+}
+
+/**
+ * Checks if a transaction description matches a keyword
+ * Supports multi-word keywords (e.g., "paypal pypl" matches both "paypal" AND "pypl")
+ * @param {string} descLower - Transaction description in lowercase
+ * @param {string} keywordLower - Keyword to match (in lowercase)
+ * @returns {boolean} True if description matches keyword
+ */
+function matchesKeyword(descLower, keywordLower) {
+  if (!keywordLower) return false;
+
+  const text = String(descLower || '').toLowerCase();
+  const tokens = String(keywordLower).toLowerCase().split(/\s+/).filter(Boolean);
+  if (!tokens.length) return false;
+
+  // Define what counts as a word boundary
+  const delim = '[^A-Za-z0-9&._]';
+
+  // If the keyword is exactly 3 words, enforce consecutive in-order phrase match
+  if (tokens.length === 3) {
+    const safe = tokens.map(tok => tok.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    // Allow any non-word delimiter(s) between the three words
+    const re = new RegExp(`(?:^|${delim})${safe[0]}(?:${delim})+${safe[1]}(?:${delim})+${safe[2]}(?:${delim}|$)`, 'i');
+    return re.test(text);
+  }
+
+  // Otherwise, fall back to existing "all tokens present with word boundaries" logic
+  return tokens.every(tok => {
+    const safe = tok.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const re = new RegExp(`(?:^|${delim})${safe}(?:${delim}|$)`, 'i');
+    return re.test(text);
+  });
+}
+
+/**
+ * Checks if a rule matches a transaction
+ * Every part of the rule must match: keyword, regular expression, exclusions and conditions
+ * @param {Object} rule - Rule object from parseRules
+ * @param {Object} t - Transaction
+ * @returns {boolean} True if the rule applies to the transaction
+ */
+function ruleMatches(rule, t) {
+  const desc = String(t.desc || t.description || "");
+  const descLower = desc.toLowerCase();
+
+  if (rule.keyword && !matchesKeyword(descLower, rule.keyword)) return false;
+  if (rule.regex && !rule.regex.test(desc)) return false;
+
+  // Exclusions are words (matched like keywords) or regular expressions
+  for (const ex of rule.excludes) {
+    if (ex instanceof RegExp ? ex.test(desc) : matchesKeyword(descLower, ex)) return false;
+  }
+
+  return rule.conditions.every(c => testRuleCondition(c, t));
+}
+
+/**
+ * Finds the first rule that matches a transaction
+ * @param {Object} t - Transaction
+ * @param {Array} rules - Array of categorization rules
+ * @returns {Object|null} The matching rule, or null if none match
+ */
+function findMatchingRule(t, rules) {
+  for (const r of rules) {
+    if (ruleMatches(r, t)) return r;  // First match wins (stop looking)
+  }
+  return null;
+}
+
+/**
+ * Applies categorization rules to transactions
+ * Modifies the transactions in place, adding a 'category' property
+ * A category picked by hand for one transaction beats everything; after that,
+ * detected transfers between own accounts go to TRANSFER before the rules run
+ * @param {Array} txns - Array of transactions to categorize
+ * @param {Array} rules - Array of categorization rules
+ */
+function categorise(txns, rules) {
+  for (const t of txns) {
+    const override = getCategoryOverride(t);
+    if (override) {
+      t.category = override;
+      continue;
+    }
+
+    if (TRANSFERS.byId.has(t.id)) {
+      t.category = TRANSFER_CATEGORY;
+      continue;
+    }
+
+    // Assign category (or "UNCATEGORISED" if no rules matched)
+    t.category = ruleCategoryFor(t, rules);
+  }
+}
+
+// ============================================================================
+// SECTION 8A: MANUAL CATEGORY OVERRIDES
+// ============================================================================
+// A one-off category for a single transaction, kept by transaction id so it
+// survives Recalculate, reloads and re-imports of the same statement
+
+/**
+ * Works out the category the rules alone would give a transaction
+ * @param {Object} t - Transaction
+ * @param {Array} rules - Rules to use (defaults to the current rules)
+ * @returns {string} Category in uppercase
+ */
+function ruleCategoryFor(t, rules = CURRENT_RULES) {
+  const matched = findMatchingRule(t, rules);
+  return matched ? matched.category : 'UNCATEGORISED';
+}
+
+/**
+ * Gets the hand-picked category for a transaction, if it has one
+ * @param {Object} t - Transaction
+ * @returns {string|null} Category in uppercase, or null if the rules decide
+ */
+function getCategoryOverride(t) {
+  if (!t || !t.id || !Object.prototype.hasOwnProperty.call(CATEGORY_OVERRIDES, t.id)) return null;
+  return CATEGORY_OVERRIDES[t.id];
+}
+
+/**
+ * Pins a transaction to a category regardless of the rules
+ * If the rules already give that category there's nothing to pin, so any
+ * existing override is dropped instead
+ * @param {Object} t - Transaction
+ * @param {string} category - Category ('' means Uncategorised)
+ */
+function setCategoryOverride(t, category) {
+  if (!t || !t.id) return;
+
+  const cat = normaliseCategory(category) || 'UNCATEGORISED';
+  if (cat === ruleCategoryFor(t)) {
+    delete CATEGORY_OVERRIDES[t.id];
+  } else {
+    CATEGORY_OVERRIDES[t.id] = cat;
+  }
+  saveJson(LS_KEYS.OVERRIDES, CATEGORY_OVERRIDES);
+}
+
+/**
+ * Removes the hand-picked category so the rules decide again
+ * @param {Object} t - Transaction
+ */
+function clearCategoryOverride(t) {
+  if (!t || !t.id || !getCategoryOverride(t)) return;
+  delete CATEGORY_OVERRIDES[t.id];
+  saveJson(LS_KEYS.OVERRIDES, CATEGORY_OVERRIDES);
+}
+
+/**
+ * "Revert to rule" button in the transactions table
+ * @param {number} idx - Index of transaction in CURRENT_TXNS array
+ */
+function revertToRule(idx) {
+  clearCategoryOverride(CURRENT_TXNS[idx]);
+  applyRulesAndRender({keepPage: true});
+}
+
+// ============================================================================
+// SECTION 8B: RULE DIAGNOSTICS
+// ============================================================================
+// With hundreds of rules and "first match wins" it's hard to tell which rules
+// do anything. These checks report hit counts, rules that never match,
+// rules an earlier rule always beats, conflicting duplicates and unreadable lines
+
+/**
+ * Describes everything a rule matches on, ignoring its category and line
+ * Two rules with the same signature match exactly the same transactions
+ * @param {Object} rule - Rule object from parseRules
+ * @returns {string} Signature string
+ */
+function ruleSignature(rule) {
+  const excludes = rule.excludes.map(x => String(x)).sort();
+  const conditions = rule.conditions.map(c => JSON.stringify(c)).sort();
+  return [rule.keyword, rule.regex ? String(rule.regex) : '', excludes.join(','), conditions.join(',')].join('|');
+}
+
+/**
+ * Checks whether rule "a" matches every transaction rule "b" matches,
+ * just by looking at the rules (no data needed)
+ * True when a's keyword words are all in b's keyword (a 3-word phrase must be
+ * identical, since it has to appear in order), and a has no regex, exclusion
+ * or condition that b doesn't also have
+ * @param {Object} a - Earlier rule
+ * @param {Object} b - Later rule
+ * @returns {boolean} True if b can never fire while a comes first
+ */
+function ruleCovers(a, b) {
+  if (a.regex && String(a.regex) !== String(b.regex)) return false;
+
+  const bExcludes = new Set(b.excludes.map(x => String(x)));
+  if (!a.excludes.every(x => bExcludes.has(String(x)))) return false;
+
+  const bConds = new Set(b.conditions.map(c => JSON.stringify(c)));
+  if (!a.conditions.every(c => bConds.has(JSON.stringify(c)))) return false;
+
+  if (!a.keyword) return true;
+  if (a.keyword === b.keyword) return true;
+
+  const aWords = a.keyword.split(/\s+/);
+  const bWords = new Set(b.keyword.split(/\s+/).filter(Boolean));
+  return aWords.length !== 3 && aWords.every(w => bWords.has(w));
+}
+
+/**
+ * Runs every diagnostic over the rules text and the loaded transactions
+ * @param {string} text - Rules text
+ * @param {Array} txns - Transactions to test against (all months)
+ * @returns {Object} Object with {rules, problems, hits, neverFire, conflicts, unused}
+ */
+function diagnoseRules(text, txns) {
+  const problems = [];
+  const rules = parseRules(text, problems);
+  parseDirectives(text, problems);
+  problems.sort((a, b) => a.line - b.line);
+
+  // Hit counts: how many transactions each rule wins, and which rules it beats
+  const hits = new Map(rules.map(r => [r, 0]));
+  const beatenBy = new Map();   // rule -> Map(winning rule -> count)
+
+  for (const t of txns) {
+    let winner = null;
+    for (const r of rules) {
+      if (!ruleMatches(r, t)) continue;
+      if (!winner) {
+        winner = r;
+        hits.set(r, hits.get(r) + 1);
+      } else {
+        if (!beatenBy.has(r)) beatenBy.set(r, new Map());
+        const m = beatenBy.get(r);
+        m.set(winner, (m.get(winner) || 0) + 1);
+      }
+    }
+  }
+
+  // Rules an earlier rule always matches first, whatever the data
+  const neverFire = [];
+  rules.forEach((b, j) => {
+    const by = rules.slice(0, j).find(a => ruleCovers(a, b));
+    if (by) neverFire.push({ rule: b, by });
+  });
+
+  // Same keyword and conditions, different categories
+  const bySignature = new Map();
+  for (const r of rules) {
+    const sig = ruleSignature(r);
+    if (!bySignature.has(sig)) bySignature.set(sig, []);
+    bySignature.get(sig).push(r);
+  }
+  const conflicts = [...bySignature.values()]
+    .filter(group => new Set(group.map(r => r.category)).size > 1);
+
+  // Rules that win nothing in the loaded data (and aren't already explained above)
+  const alwaysBeaten = new Set(neverFire.map(x => x.rule));
+  const unused = rules
+    .filter(r => !hits.get(r) && !alwaysBeaten.has(r))
+    .map(r => {
+      const beaten = beatenBy.get(r);
+      if (!beaten) return { rule: r, matched: 0, by: null };
+      const [by] = [...beaten.entries()].sort((x, y) => y[1] - x[1])[0];
+      const matched = [...beaten.values()].reduce((a, n) => a + n, 0);
+      return { rule: r, matched, by };
+    });
+
+  return { rules, problems, hits, neverFire, conflicts, unused };
+}
+
+/**
+ * Renders the diagnostics panel under the rules box
+ */
+function renderRuleDiagnostics() {
+  const el = document.getElementById('ruleDiagnostics');
+  if (!el) return;
+
+  const text = document.getElementById('rulesBox').value;
+  const d = diagnoseRules(text, CURRENT_TXNS);
+
+  // Clickable "Line N" that jumps to the rule in the text box
+  const lineLink = (n) => `<a class="rule-line" data-line="${n}">Line ${n}</a>`;
+  const ruleText = (r) => `<code>${escapeHtml(r.source)}</code>`;
+  const section = (title, count, body, open = false) =>
+    `<details${open && count ? ' open' : ''}><summary>${title} (${count})</summary>${count ? body : '<p class="muted">None 🎉</p>'}</details>`;
+
+  let html = `<p><strong>${d.rules.length}</strong> rules checked against <strong>${CURRENT_TXNS.length}</strong> loaded transactions.</p>`;
+
+  html += section('Lines that were skipped', d.problems.length,
+    '<ul>' + d.problems.map(p =>
+      `<li>${lineLink(p.line)}: <code>${escapeHtml(p.text)}</code> — ${escapeHtml(p.reason)}</li>`
+    ).join('') + '</ul>', true);
+
+  html += section('Rules that can never fire', d.neverFire.length,
+    '<ul>' + d.neverFire.map(x =>
+      `<li>${lineLink(x.rule.line)} ${ruleText(x.rule)} — ${lineLink(x.by.line)} ${ruleText(x.by)} always matches first</li>`
+    ).join('') + '</ul>', true);
+
+  html += section('Same keyword, different categories', d.conflicts.length,
+    '<ul>' + d.conflicts.map(group =>
+      `<li>${group.map(r => `${lineLink(r.line)} → ${escapeHtml(categoryLabel(r.category))}`).join(', ')} (only the first is used)</li>`
+    ).join('') + '</ul>', true);
+
+  html += section('Rules that match nothing loaded', d.unused.length,
+    '<ul>' + d.unused.map(x => x.by
+      ? `<li>${lineLink(x.rule.line)} ${ruleText(x.rule)} — matches ${x.matched}, but ${lineLink(x.by.line)} wins first</li>`
+      : `<li>${lineLink(x.rule.line)} ${ruleText(x.rule)} — no loaded transactions match</li>`
+    ).join('') + '</ul>');
+
+  const rows = d.rules.map(r =>
+    `<tr><td>${lineLink(r.line)}</td><td>${ruleText(r)}</td><td class="num">${d.hits.get(r)}</td></tr>`
+  ).join('');
+  html += section('Matches per rule', d.rules.length,
+    `<table class="rule-hits"><thead><tr><th>Line</th><th>Rule</th><th class="num">Matches</th></tr></thead><tbody>${rows}</tbody></table>`);
+
+  el.innerHTML = html;
+  el.style.display = '';
+
+  el.querySelectorAll('a.rule-line').forEach(a => {
+    a.addEventListener('click', () => selectRulesLine(Number(a.getAttribute('data-line'))));
+  });
+}
+
+/**
+ * Selects a line in the rules box so the user can edit it
+ * @param {number} lineNo - 1-based line number
+ */
+function selectRulesLine(lineNo) {
+  const box = document.getElementById('rulesBox');
+  const lines = box.value.split('\n');
+  const start = lines.slice(0, lineNo - 1).reduce((acc, l) => acc + l.length + 1, 0);
+  const end = start + (lines[lineNo - 1] || '').length;
+
+  box.focus();
+  box.setSelectionRange(start, end);
+
+  // Scroll the selected line into view (roughly, by line height)
+  const lineHeight = parseFloat(getComputedStyle(box).lineHeight) || 20;
+  box.scrollTop = Math.max(0, (lineNo - 3) * lineHeight);
+}
+
+// ============================================================================
+// SECTION 8C: SPLIT TRANSACTIONS
+// ============================================================================
+// One receipt can be part groceries, part pharmacy. A split divides a
+// transaction into parts that each have their own amount and category.
+// The parts always add up to the original amount
+
+/**
+ * Gets the saved split for a transaction, if it has one
+ * @param {Object} t - Transaction
+ * @returns {Array|null} Array of {amount, category} parts, or null
+ */
+function getTxnSplit(t) {
+  if (!t || !t.id) return null;
+  const parts = TXN_SPLITS[t.id];
+  return Array.isArray(parts) && parts.length ? parts : null;
+}
+
+/**
+ * Lists the pieces a transaction counts as in the totals
+ * An ordinary transaction is one piece; a split transaction is one per part
+ * @param {Object} t - Transaction
+ * @returns {Array} Array of {amount, category} pieces
+ */
+function txnParts(t) {
+  return getTxnSplit(t) || [{ amount: Number(t.amount) || 0, category: (t.category || 'UNCATEGORISED').toUpperCase() }];
+}
+
+/**
+ * Turns split text like "30 GROCERIES; 12.50 PHARMACY" into parts
+ * One part may leave out its amount to take whatever is left over
+ * Amounts typed without a sign take the transaction's sign; a "+" or "-"
+ * keeps the part the other way round (e.g. "-10 CASHBACK" on a purchase)
+ * @param {string} text - Parts separated by ";" or new lines
+ * @param {number} total - The transaction amount the parts must add up to
+ * @returns {Object} Object with {parts, error}
+ */
+function parseSplitText(text, total) {
+  const cents = (n) => Math.round(n * 100);
+  const pieces = String(text || '').split(/[;\n]/).map(x => x.trim()).filter(Boolean);
+  const parts = [];
+  let remainderPart = null;
+
+  for (const piece of pieces) {
+    const m = piece.match(/^([-+(]?\$?\d[\d,]*(?:\.\d+)?\)?)\s+(.+)$/);
+    if (m) {
+      const amount = parseAmount(m[1]);
+      if (isNaN(amount)) return { parts: [], error: `Can't read the amount in "${piece}"` };
+      parts.push({ amount, category: normaliseCategory(m[2]), signed: /^[-+(]/.test(m[1]) });
+    } else {
+      if (remainderPart) return { parts: [], error: 'Only one part can leave out its amount' };
+      remainderPart = { amount: 0, category: normaliseCategory(piece) };
+      parts.push(remainderPart);
+    }
+  }
+
+  if (parts.length < 2) return { parts: [], error: 'A split needs at least two parts' };
+
+  // Amounts typed without a sign follow the transaction (so refunds work too)
+  for (const p of parts) {
+    if (total < 0 && p !== remainderPart && !p.signed) p.amount = -p.amount;
+    delete p.signed;
+  }
+
+  const entered = parts.reduce((acc, p) => acc + cents(p.amount), 0);
+  if (remainderPart) {
+    remainderPart.amount = (cents(total) - entered) / 100;
+    if (!remainderPart.amount) return { parts: [], error: 'Nothing is left over for the part without an amount' };
+    if (Math.sign(remainderPart.amount) !== Math.sign(total)) {
+      return { parts: [], error: `The other parts come to more than the transaction's ${Math.abs(total).toFixed(2)}` };
+    }
+  } else if (entered !== cents(total)) {
+    return { parts: [], error: `The parts add up to ${(entered / 100).toFixed(2)} but the transaction is ${total.toFixed(2)}` };
+  }
+
+  return { parts, error: '' };
+}
+
+/**
+ * Formats parts back into the text used by the split prompt
+ * Parts going the same way as the transaction are written without a sign,
+ * the others with one, so parseSplitText reads the text back unchanged
+ * @param {Array} parts - Array of {amount, category}
+ * @param {number} total - The transaction amount
+ * @returns {string} Text like "30.00 GROCERIES; 12.50 PHARMACY; -5.00 CASHBACK"
+ */
+function formatSplitText(parts, total) {
+  return parts.map(p => {
+    const sameWay = Math.sign(p.amount) === Math.sign(total);
+    const amount = sameWay ? Math.abs(p.amount).toFixed(2) : `${p.amount < 0 ? '-' : '+'}${Math.abs(p.amount).toFixed(2)}`;
+    return `${amount} ${p.category}`;
+  }).join('; ');
+}
+
+/**
+ * Asks the user how to split a transaction and saves the result
+ * Leaving the box empty removes the split
+ * @param {number} idx - Index of transaction in CURRENT_TXNS array
+ */
+function splitTransaction(idx) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn || !txn.id) return;
+
+  const existing = getTxnSplit(txn);
+  let text = existing ? formatSplitText(existing, txn.amount) : `${Math.abs(txn.amount).toFixed(2)} ${(txn.category || 'UNCATEGORISED').toUpperCase()}`;
+  let message = `Split ${Math.abs(txn.amount).toFixed(2)} into parts, e.g. "30 GROCERIES; 12.50 PHARMACY".\n` +
+                `Leave one amount out to give it the rest. Clear the box to remove the split.`;
+
+  // Keep asking until the parts add up (or the user cancels)
+  for (;;) {
+    const input = prompt(message, text);
+    if (input === null) return;
+
+    if (!input.trim()) {
+      delete TXN_SPLITS[txn.id];
+      EXPANDED_SPLITS.delete(txn.id);
+      break;
+    }
+
+    const { parts, error } = parseSplitText(input, txn.amount);
+    if (!error) {
+      TXN_SPLITS[txn.id] = parts;
+      EXPANDED_SPLITS.add(txn.id);
+      break;
+    }
+
+    text = input;
+    message = `${error}. Please try again:`;
+  }
+
+  saveJson(LS_KEYS.SPLITS, TXN_SPLITS);
+  applyRulesAndRender({keepPage: true});
+}
+
+/**
+ * Shows or hides the parts of a split transaction in the table
+ * @param {number} idx - Index of transaction in CURRENT_TXNS array
+ */
+function toggleSplitRows(idx) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn) return;
+
+  if (EXPANDED_SPLITS.has(txn.id)) EXPANDED_SPLITS.delete(txn.id);
+  else EXPANDED_SPLITS.add(txn.id);
+
+  renderTransactionsTable();
+}
+
+// ============================================================================
+// SECTION 9: CATEGORY TOTALS CALCULATION AND DISPLAY
+// ============================================================================
+// Categories can be nested with a colon, e.g. TRANSPORT:PETROL and
+// TRANSPORT:PARKING are both children of TRANSPORT
+
+/**
+ * Tidies a category name: uppercase, no spaces around the colons
+ * @param {string} cat - Category as typed, e.g. "transport : petrol"
+ * @returns {string} Normalised category, e.g. "TRANSPORT:PETROL"
+ */
+function normaliseCategory(cat) {
+  return String(cat || '')
+    .split(':')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join(':')
+    .toUpperCase();
+}
+
+/**
+ * Makes a category readable, e.g. "TRANSPORT:PETROL" -> "Transport › Petrol"
+ * @param {string} cat - Category
+ * @returns {string} Display label
+ */
+function categoryLabel(cat) {
+  return String(cat || '').split(':').map(toTitleCase).join(' › ');
+}
+
+/**
+ * Checks whether a category is the filter category or one of its descendants
+ * @param {string} cat - Category to test
+ * @param {string} filter - Filter category (e.g. "TRANSPORT")
+ * @returns {boolean} True for "TRANSPORT", "TRANSPORT:PETROL" etc.
+ */
+function categoryInFilter(cat, filter) {
+  return cat === filter || cat.startsWith(filter + ':');
+}
+
+/**
+ * Sorts categories as a tree: each parent directly followed by its children
+ * @param {string} a - First category
+ * @param {string} b - Second category
+ * @returns {number} Sort order
+ */
+function compareCategoryPaths(a, b) {
+  const pa = a.split(':');
+  const pb = b.split(':');
+  for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+    const c = pa[i].localeCompare(pb[i], undefined, { sensitivity: 'base' });
+    if (c) return c;
+  }
+  return pa.length - pb.length;
+}
+
+/**
+ * Adds the parents of nested categories to a list
+ * e.g. ["TRANSPORT:PETROL"] -> ["TRANSPORT:PETROL", "TRANSPORT"]
+ * @param {Array} cats - Category names
+ * @returns {Array} Categories plus any missing parents (no duplicates)
+ */
+function withParentCategories(cats) {
+  const all = new Set();
+  for (const cat of cats) {
+    const parts = cat.split(':');
+    for (let i = 1; i <= parts.length; i++) all.add(parts.slice(0, i).join(':'));
+  }
+  return [...all];
+}
+
+/**
+ * Arranges category totals into a tree so parents can roll up their children
+ * Each node has {path, name, own, total, children (Map)}; "own" is the amount
+ * put directly on that category and "total" includes all descendants
+ * @param {Array} rows - [category, total] pairs from computeCategoryTotals
+ * @returns {Object} Root node (its children are the top-level categories)
+ */
+function buildCategoryTree(rows) {
+  const root = { path: '', name: '', own: 0, total: 0, children: new Map() };
+
+  for (const [cat, amount] of rows) {
+    const parts = cat.split(':');
+    let node = root;
+
+    parts.forEach((name, i) => {
+      if (!node.children.has(name)) {
+        node.children.set(name, { path: parts.slice(0, i + 1).join(':'), name, own: 0, total: 0, children: new Map() });
+      }
+      node = node.children.get(name);
+      node.total += amount;
+    });
+
+    node.own += amount;
+  }
+
+  return root;
+}
+
+/**
+ * Calculates total spending for each category
+ * Split transactions count each part under its own category
+ * Transfers are left out unless "Include transfers" is ticked
+ * @param {Array} txns - Array of categorized transactions
+ * @returns {Object} Object with {rows, grand} - rows are [category, total] pairs
+ */
+function computeCategoryTotals(txns) {
+  // Use a Map to accumulate totals by category
+  // Map is better than Object for this because keys can be any value
+  const byCat = new Map();
+  
+  for (const t of txns) {
+    for (const part of txnParts(t)) {
+      if (excludedFromTotals(part.category)) continue;
+
+      // Add this part's amount to the category total
+      // If category doesn't exist yet, start at 0
+      byCat.set(part.category, (byCat.get(part.category) || 0) + part.amount);
+    }
+  }
+  
+  // Convert Map to array of [category, total] pairs and sort by total (highest first)
+  const rows = [...byCat.entries()].sort((a, b) => b[1] - a[1]);
+  
+  // Calculate grand total across all categories
+  const grand = rows.reduce((acc, [, v]) => acc + v, 0);
+  
+  return { rows, grand };
+}
+
+/**
+ * Renders the category totals table in the UI
+ * Nested categories appear under their parent, whose row shows the rolled-up
+ * total and can be collapsed
+ * When budgets are set, budget / remaining / used columns are added
+ * @param {Array} txns - Array of transactions to summarize
+ */
+function renderCategoryTotals(txns) {
+  const { rows, grand } = computeCategoryTotals(txns);
+  const totalsDiv = document.getElementById('categoryTotals');
+
+  // Budgets are monthly, so scale them to the months being shown
+  const hasBudgets = CURRENT_BUDGETS.size > 0;
+  const period = budgetPeriod();
+  const alerts = [];
+  
+  // Build HTML table
+  let html = '<table class="cats">';
+  html += '<colgroup><col class="col-cat"><col class="col-total"><col class="col-pct"></colgroup>';
+  html += '<thead><tr><th>Category</th><th class="num">Total</th><th class="num">%</th>';
+  if (hasBudgets) html += '<th class="num">Budget</th><th class="num">Remaining</th><th class="num">Used</th>';
+  html += '</tr></thead>';
+  html += '<tbody>';
+
+  // Calculate percentage of grand total
+  const pctOf = (total) => (grand ? (total / grand * 100) : 0).toFixed(1) + '%';
+
+  /**
+   * Works out a category's budget for the period and how it's going
+   * @param {Object} node - Tree node from buildCategoryTree
+   * @returns {Object|null} {budget, status}, or null if it has no budget
+   */
+  function budgetFor(node) {
+    if (!CURRENT_BUDGETS.has(node.path) || !period.months) return null;
+    const budget = CURRENT_BUDGETS.get(node.path) * period.months;
+    return { budget, status: budgetStatus(node.total, budget, period) };
+  }
+
+  /**
+   * Collects alerts for a category and all its subcategories
+   * (collapsed ones too - hiding a row mustn't hide its alert)
+   * @param {Object} node - Tree node from buildCategoryTree
+   */
+  function collectAlerts(node) {
+    const b = budgetFor(node);
+    if (b && (b.status.state === 'over' || b.status.state === 'pace')) {
+      alerts.push({ category: node.path, spent: node.total, budget: b.budget, status: b.status });
+    }
+    [...node.children.values()]
+      .sort((a, b) => b.total - a.total)
+      .forEach(collectAlerts);
+  }
+
+  /**
+   * Builds the budget cells for a category (blank if it has no budget)
+   * @param {Object} node - Tree node from buildCategoryTree
+   * @returns {string} HTML for the three budget cells
+   */
+  function budgetCells(node) {
+    if (!hasBudgets) return '';
+    const b = budgetFor(node);
+    if (!b) return '<td></td><td></td><td></td>';
+
+    const { budget, status } = b;
+    return `<td class="num">${budget.toFixed(2)}</td>
+      <td class="num budget-${status.state}">${status.remaining.toFixed(2)}</td>
+      <td class="num budget-${status.state}">${status.used.toFixed(0)}%</td>`;
+  }
+
+  /**
+   * Adds a row for a category, then (unless collapsed) rows for its children
+   * @param {Object} node - Tree node from buildCategoryTree
+   * @param {number} depth - 0 for top-level categories
+   */
+  function addRows(node, depth) {
+    const hasChildren = node.children.size > 0;
+    const collapsed = hasChildren && COLLAPSED_CATEGORIES.has(node.path);
+    const indent = `padding-left:${depth * 24}px`;
+    const toggle = hasChildren
+      ? `<a class="cat-toggle" data-path="${escapeHtml(node.path)}" title="${collapsed ? 'Show' : 'Hide'} subcategories">${collapsed ? '▸' : '▾'}</a> `
+      : '';
+    const label = depth ? toTitleCase(node.name) : categoryLabel(node.path);
+
+    html += `<tr class="${hasChildren ? 'cat-parent' : ''}">
+      <td style="${indent}">${toggle}<a class="catlink" data-cat="${escapeHtml(node.path)}"><span class="category-name">${escapeHtml(label)}</span></a></td>
+      <td class="num">${node.total.toFixed(2)}</td>
+      <td class="num">${pctOf(node.total)}</td>
+      ${budgetCells(node)}
+    </tr>`;
+
+    if (collapsed) return;
+
+    const children = [...node.children.values()].sort((a, b) => b.total - a.total);
+    children.forEach(child => addRows(child, depth + 1));
+
+    // Money put straight on the parent (not in any subcategory)
+    if (hasChildren && Math.round(node.own * 100)) {
+      html += `<tr class="cat-own">
+        <td style="padding-left:${(depth + 1) * 24}px" class="muted">Other ${escapeHtml(toTitleCase(node.name))}</td>
+        <td class="num">${node.own.toFixed(2)}</td>
+        <td class="num">${pctOf(node.own)}</td>
+        ${hasBudgets ? '<td></td><td></td><td></td>' : ''}
+      </tr>`;
+    }
+  }
+
+  // Budgeted categories with no spending yet still get a row
+  // (like the spent rows, they aren't narrowed by the category filter)
+  const spentCats = new Set(rows.map(([cat]) => cat));
+  const unspent = [...CURRENT_BUDGETS.keys()]
+    .filter(cat => !spentCats.has(cat))
+    .map(cat => [cat, 0]);
+
+  // Add rows for each top-level category (highest total first)
+  const tree = buildCategoryTree(rows.concat(unspent));
+  const topLevel = [...tree.children.values()].sort((a, b) => b.total - a.total);
+  topLevel.forEach(node => addRows(node, 0));
+  if (hasBudgets) topLevel.forEach(collectAlerts);
+  
+  html += `</tbody>`;
+  
+  // Footer with grand total
+  html += `<tfoot><tr><td>Total</td><td class="num">${grand.toFixed(2)}</td><td class="num">100%</td>${hasBudgets ? '<td></td><td></td><td></td>' : ''}</tr></tfoot>`;
+  html += '</table>';
+  
+  totalsDiv.innerHTML = html;
+  renderBudgetAlerts(alerts);
+
+  // Add click handlers to category links (for filtering)
+  totalsDiv.querySelectorAll('a.catlink').forEach(a => {
+    a.addEventListener('click', () => setCategoryFilter(a.getAttribute('data-cat')));
+  });
+
+  // Add click handlers to the ▸/▾ toggles (show/hide subcategories)
+  totalsDiv.querySelectorAll('a.cat-toggle').forEach(a => {
+    a.addEventListener('click', () => {
+      const path = a.getAttribute('data-path');
+      if (COLLAPSED_CATEGORIES.has(path)) COLLAPSED_CATEGORIES.delete(path);
+      else COLLAPSED_CATEGORIES.add(path);
+
+      saveJson(LS_KEYS.CATS_COLLAPSED, [...COLLAPSED_CATEGORIES]);
+      renderCategoryTotals(txns);
+    });
+  });
+}
+
+/**
+ * Filters the transactions table by a category (from a category link or a chart)
+ * @param {string|null} category - Category path, or null to show all
+ */
+function setCategoryFilter(category) {
+  // Set the category as the active filter, and save it
+  CURRENT_FILTER = category || null;
+  saveJson(LS_KEYS.FILTER, CURRENT_FILTER || '');
+
+  // Update UI to show active filter
+  updateFilterUI();
+  CURRENT_PAGE = 1;  // Reset to first page
+  renderTransactionsTable();
+
+  // The donut highlights the filtered category
+  if (document.getElementById('chartsDetails').open) renderCharts();
+}
+
+/**
+ * Renders the month summary (count, debit, credit, net)
+ */
+function renderMonthTotals() {
+  // Get transactions (filtered by both month and category)
+  const txns = getFilteredTxns(periodFilteredTxns());
+  
+  let debit = 0, credit = 0, count = 0;
+  let transfers = 0;  // Money moved between own accounts (left out of the figures)
+  const byAccount = new Map();  // account name -> {debit, credit}
+  
+  for (const t of txns) {
+    // With a category filter (or cat: search), only the matching parts of a split count
+    for (const part of txnParts(t)) {
+      if (!partInView(part)) continue;
+      if (excludedFromTotals(part.category)) {
+        transfers += Math.abs(Number(part.amount) || 0);
+        continue;
+      }
+
+      const amt = Number(part.amount) || 0;
+      const acc = byAccount.get(t.account || '') || { debit: 0, credit: 0 };
+      byAccount.set(t.account || '', acc);
+      
+      if (amt > 0) {
+        debit += amt;  // Positive = money spent
+        acc.debit += amt;
+      } else {
+        credit += Math.abs(amt);  // Negative = money received
+        acc.credit += Math.abs(amt);
+      }
+    }
+    
+    count++;
+  }
+  
+  const net = debit - credit;  // Net spending
+  
+  const el = document.getElementById('monthTotals');
+  if (el) {
+    const label = periodLabel(PERIOD_FILTER);
+    const cat = CURRENT_FILTER ? ` + category "${CURRENT_FILTER}"` : "";
+    const account = ACCOUNT_FILTER ? ` + account "${ACCOUNT_FILTER === NO_ACCOUNT ? '(no account)' : ACCOUNT_FILTER}"` : "";
+    const search = CURRENT_SEARCH.terms.length ? ` + search "${CURRENT_SEARCH.text}"` : "";
+    
+    el.innerHTML = `Showing <span class="badge">${count}</span> transactions for <strong>${escapeHtml(label + cat + account + search)}</strong> · ` +
+                   `Debit: <strong>$${debit.toFixed(2)}</strong> · ` +
+                   `Credit: <strong>$${credit.toFixed(2)}</strong> · ` +
+                   `Net: <strong>$${net.toFixed(2)}</strong>` +
+                   (transfers ? ` · <span class="muted">Transfers left out: $${transfers.toFixed(2)}</span>` : '');
+
+    // Per-account breakdown when more than one account is showing
+    if (byAccount.size > 1) {
+      const rows = [...byAccount.entries()]
+        .sort(([a], [b]) => (!a) - (!b) || a.localeCompare(b, undefined, { sensitivity: 'base' }))
+        .map(([name, v]) => `<li><strong>${escapeHtml(name || '(no account)')}</strong>: ` +
+          `Debit $${v.debit.toFixed(2)} · Credit $${v.credit.toFixed(2)} · Net $${(v.debit - v.credit).toFixed(2)}</li>`)
+        .join('');
+      el.innerHTML += `<ul class="account-breakdown">${rows}</ul>`;
+    }
+  }
+}
+
+// ============================================================================
+// SECTION 9A: MONTHLY BUDGETS
+// ============================================================================
+// Budgets are "@budget CATEGORY AMOUNT" lines in the rules text, so they are
+// saved, exported and imported together with the rules.
+// A budget on a parent category covers its subcategories too
+
+/**
+ * Lists every month from one 'YYYY-MM' to another (inclusive)
+ * @param {string} from - First month
+ * @param {string} to - Last month
+ * @returns {Array} Months in 'YYYY-MM' format
+ */
+function monthsBetween(from, to) {
+  const months = [];
+  let [y, m] = from.split('-').map(Number);
+  const [toY, toM] = to.split('-').map(Number);
+
+  while (y < toY || (y === toY && m <= toM)) {
+    months.push(`${y}-${String(m).padStart(2, '0')}`);
+    if (++m > 12) { m = 1; y++; }
+  }
+  return months;
+}
+
+/**
+ * Works out how many months of budget the current view covers, and how many
+ * of them have gone by. Each month counts by the share of its days inside the
+ * period, so a quarter is 3 months, a financial year 12 and a custom range of
+ * 15 June to 14 July about 1. "All months" covers every month from the first
+ * to the last transaction. Days after today haven't gone by yet
+ * @param {Date} today - Today's date (for testing)
+ * @returns {Object} Object with {months, elapsed} (e.g. {months: 3, elapsed: 2.5})
+ */
+function budgetPeriod(today = new Date()) {
+  const dates = CURRENT_TXNS.filter(t => t.iso).map(t => t.iso).sort();
+  if (!dates.length) return { months: 0, elapsed: 0 };
+
+  // Whole months of data, narrowed to the selected period (open ends use the data)
+  const range = periodRange(PERIOD_FILTER) || { from: '', to: '' };
+  const from = range.from || `${dates[0].slice(0, 7)}-01`;
+  const to = range.to || lastDayOfMonth(dates[dates.length - 1].slice(0, 7));
+  if (from > to) return { months: 0, elapsed: 0 };
+
+  const todayIso = toIsoDate(today);
+  let months = 0, elapsed = 0;
+
+  for (const m of monthsBetween(from.slice(0, 7), to.slice(0, 7))) {
+    const monthEnd = lastDayOfMonth(m);
+    const days = Number(monthEnd.slice(8));
+    const first = from > `${m}-01` ? from : `${m}-01`;
+    const last = to < monthEnd ? to : monthEnd;
+
+    months += (daysBetween(first, last) + 1) / days;
+
+    const lastGone = last < todayIso ? last : todayIso;
+    if (lastGone >= first) elapsed += (daysBetween(first, lastGone) + 1) / days;
+  }
+
+  return { months, elapsed };
+}
+
+/**
+ * Compares spending with a budget
+ * @param {number} spent - Amount spent so far in the period
+ * @param {number} budget - Budget for the whole period
+ * @param {Object} period - Object with {months, elapsed} (number of months, months gone by)
+ * @returns {Object} Object with {remaining, used (percent), projected, state}
+ *   state is 'over', 'pace' (on pace to go over), 'near' (80%+ used) or 'ok'
+ */
+function budgetStatus(spent, budget, period) {
+  const remaining = budget - spent;
+  const used = budget ? spent / budget * 100 : 0;
+
+  // Project spending to the end of the period if it's still under way
+  const underway = period.elapsed > 0 && period.elapsed < period.months;
+  const projected = underway ? spent / period.elapsed * period.months : spent;
+
+  let state = 'ok';
+  if (spent > budget) state = 'over';
+  else if (projected > budget) state = 'pace';
+  else if (used >= 80) state = 'near';
+
+  return { remaining, used, projected, state };
+}
+
+/**
+ * Adds or updates a "@budget CATEGORY AMOUNT" line in the rules textarea
+ * @param {string} category - Category in uppercase
+ * @param {number} amount - Monthly budget
+ */
+function addOrUpdateBudgetLine(category, amount) {
+  const box = document.getElementById('rulesBox');
+  const lines = String(box.value || '').split(/\r?\n/);
+  const newLine = `@budget ${category} ${amount.toFixed(2)}`;
+
+  // Replace the existing budget for this category, if there is one
+  const i = lines.findIndex(line => {
+    const m = line.trim().match(/^@budget\s+(.+?)\s+\S+$/i);
+    return m && normaliseCategory(m[1]) === category;
+  });
+
+  if (i !== -1) lines[i] = newLine;
+  else lines.push(newLine);
+
+  box.value = lines.join("\n");
+  saveJson(LS_KEYS.RULES, box.value);
+}
+
+/**
+ * Shows the over-budget / on-pace-to-go-over banner above the category totals
+ * @param {Array} alerts - Array of {category, spent, budget, status}
+ */
+function renderBudgetAlerts(alerts) {
+  const el = document.getElementById('budgetAlerts');
+  if (!el) return;
+
+  if (!alerts.length) {
+    el.style.display = 'none';
+    el.innerHTML = '';
+    return;
+  }
+
+  const items = alerts.map(a => {
+    const name = escapeHtml(categoryLabel(a.category));
+    return a.status.state === 'over'
+      ? `<li class="budget-over"><strong>${name}</strong>: $${a.spent.toFixed(2)} of $${a.budget.toFixed(2)} — over by $${(-a.status.remaining).toFixed(2)}</li>`
+      : `<li class="budget-pace"><strong>${name}</strong>: $${a.spent.toFixed(2)} of $${a.budget.toFixed(2)} — on pace for $${a.status.projected.toFixed(2)}</li>`;
+  }).join('');
+
+  el.innerHTML = `<strong>Budget alerts</strong><ul>${items}</ul>`;
+  el.style.display = '';
+}
+
+// ============================================================================
+// SECTION 9B: RECURRING PAYMENTS AND SUBSCRIPTIONS
+// ============================================================================
+// Groups spending by merchant and looks for payments that repeat at a
+// regular interval, so forgotten subscriptions are easy to spot
+
+// Intervals we look for: typical gap in days, how far off a gap may be,
+// and how many payments per month that works out to (for budgets)
+const RECURRING_PERIODS = [
+  { name: 'Weekly',      days: 7,    tolerance: 1,  perMonth: 52 / 12 },
+  { name: 'Fortnightly', days: 14,   tolerance: 2,  perMonth: 26 / 12 },
+  { name: 'Monthly',     days: 30.4, tolerance: 4,  perMonth: 1 },
+  { name: 'Yearly',      days: 365,  tolerance: 10, perMonth: 1 / 12 }
+];
+
+// Words that say how the payment was made rather than who it was to
+const MERCHANT_NOISE = new Set(['VISA', 'EFTPOS', 'POS', 'PURCHASE', 'DEBIT', 'DIRECT', 'CARD', 'PAYMENT', 'RECURRING', 'PTY', 'LTD', 'AU', 'AUS']);
+
+/**
+ * Picks out the first three merchant words of a description
+ * Drops reference numbers, card details and payment-method words
+ * @param {string} desc - Transaction description
+ * @returns {Array} Up to three {raw, word} objects: raw is the word exactly as
+ *   in the description (what matchesKeyword looks for), word is the same
+ *   without "." or "_" at either end (for grouping)
+ */
+function merchantWords(desc) {
+  return (String(desc || '').toUpperCase().match(/[A-Z0-9&._]+/g) || [])
+    .map(raw => ({ raw, word: raw.replace(/^[._]+|[._]+$/g, '') }))
+    .filter(({ word }) => word.length > 1 && !/\d/.test(word) && !MERCHANT_NOISE.has(word))
+    .slice(0, 3);
+}
+
+/**
+ * Normalises a description to a merchant name for grouping
+ * e.g. "VISA-NETFLIX.COM 0412 MELBOURNE" -> "NETFLIX.COM MELBOURNE"
+ * @param {string} desc - Transaction description
+ * @returns {string} Merchant name in uppercase ('' if nothing is left)
+ */
+function merchantKey(desc) {
+  return merchantWords(desc).map(w => w.word).join(' ');
+}
+
+/**
+ * Counts the days from one ISO date to another
+ * @param {string} fromIso - Earlier date
+ * @param {string} toIso - Later date
+ * @returns {number} Whole days between them
+ */
+function daysBetween(fromIso, toIso) {
+  return Math.round((dateFromIso(toIso) - dateFromIso(fromIso)) / 86400000);
+}
+
+/**
+ * Works out when the next payment is due after a given date
+ * Monthly and yearly payments keep the same day of the month where possible
+ * @param {string} iso - Date of the last payment
+ * @param {Object} period - Entry from RECURRING_PERIODS
+ * @returns {string} ISO date of the next expected payment
+ */
+function nextRecurringDate(iso, period) {
+  const d = dateFromIso(iso);
+  const months = period.name === 'Monthly' ? 1 : period.name === 'Yearly' ? 12 : 0;
+
+  if (!months) {
+    d.setDate(d.getDate() + period.days);
+    return toIsoDate(d);
+  }
+
+  // Clamp to the end of a shorter month (31 Jan -> 28/29 Feb)
+  const target = new Date(d.getFullYear(), d.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(d.getDate(), lastDay));
+  return toIsoDate(target);
+}
+
+/**
+ * Middle value of a list of numbers
+ * @param {Array} nums - Numbers
+ * @returns {number} Median
+ */
+function median(nums) {
+  const sorted = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Finds payments that repeat weekly, fortnightly, monthly or yearly
+ * @param {Array} txns - Transactions to search (defaults to all loaded)
+ * @returns {Array} Array of {merchant, keyword, period, count, typical, last, next,
+ *   category, changes [{iso, from, to}], varies, min, max, stopped}
+ */
+function detectRecurring(txns = CURRENT_TXNS) {
+  // The latest date loaded stands in for "today" - statements always lag a little
+  const asOf = txns.reduce((max, t) => (t.iso && t.iso > max ? t.iso : max), '');
+
+  // Group spending (not refunds or income) by merchant
+  const groups = new Map();
+  for (const t of txns) {
+    if (!t.iso || !(t.amount > 0)) continue;
+    const key = merchantKey(t.description);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+
+  const items = [];
+  for (const [merchant, list] of groups) {
+    if (list.length < 2) continue;
+    list.sort((a, b) => a.iso.localeCompare(b.iso));
+
+    // Gaps between payments (two charges on the same day count as one)
+    const gaps = [];
+    for (let i = 1; i < list.length; i++) {
+      const gap = daysBetween(list[i - 1].iso, list[i].iso);
+      if (gap > 0) gaps.push(gap);
+    }
+    if (!gaps.length) continue;
+
+    // Most gaps (at least 3 in 4) must fit one interval
+    const typicalGap = median(gaps);
+    const period = RECURRING_PERIODS.find(p => Math.abs(typicalGap - p.days) <= p.tolerance);
+    if (!period) continue;
+    if (period.name !== 'Yearly' && list.length < 3) continue;
+
+    const fitting = gaps.filter(g => Math.abs(g - period.days) <= period.tolerance).length;
+    if (fitting < Math.ceil(gaps.length * 0.75)) continue;
+
+    // Amount history: price changes, or a range if it changes every time
+    const amounts = list.map(t => t.amount);
+    const changes = [];
+    for (let i = 1; i < list.length; i++) {
+      if (Math.round(amounts[i] * 100) !== Math.round(amounts[i - 1] * 100)) {
+        changes.push({ iso: list[i].iso, from: amounts[i - 1], to: amounts[i] });
+      }
+    }
+    const varies = changes.length > gaps.length / 2;
+
+    const lastTxn = list[list.length - 1];
+    const next = nextRecurringDate(lastTxn.iso, period);
+
+    // Stopped: well past the next expected date with no payment
+    const grace = Math.max(3, Math.round(period.days / 2));
+    const stopped = daysBetween(next, asOf) > grace;
+
+    items.push({
+      merchant,
+      // Three-word keywords must match as a phrase, but words may have been
+      // dropped from between them, so rules use at most the first two.
+      // They're taken as written in the last payment, so the rule matches it
+      keyword: merchantWords(lastTxn.description).slice(0, 2).map(w => w.raw).join(' '),
+      period,
+      count: list.length,
+      // After a price change the latest price is what you'll pay next
+      typical: varies ? median(amounts) : amounts[amounts.length - 1],
+      last: lastTxn,
+      next,
+      category: getCategoryOverride(lastTxn) || ruleCategoryFor(lastTxn),
+      changes: varies ? [] : changes,
+      varies,
+      min: Math.min(...amounts),
+      max: Math.max(...amounts),
+      stopped
+    });
+  }
+
+  // Active payments first (soonest due first), then the ones that stopped
+  return items.sort((a, b) => (a.stopped - b.stopped) || a.next.localeCompare(b.next));
+}
+
+/**
+ * Renders the recurring payments list
+ */
+function renderRecurring() {
+  const el = document.getElementById('recurringList');
+  if (!el) return;
+
+  RECURRING_ITEMS = detectRecurring();
+
+  if (!RECURRING_ITEMS.length) {
+    el.innerHTML = `<p class="muted">${CURRENT_TXNS.length ? 'No recurring payments found.' : 'Load some transactions first.'}</p>`;
+    return;
+  }
+
+  let html = '<table class="recurring zebra"><thead><tr><th>Merchant</th><th>Every</th><th class="num">Typical</th><th>Next expected</th><th>Category</th><th>Notes</th><th></th></tr></thead><tbody>';
+
+  RECURRING_ITEMS.forEach((item, i) => {
+    const notes = [];
+    if (item.stopped) notes.push(`<span class="recurring-warning">Stopped? Last paid ${escapeHtml(item.last.iso)}</span>`);
+    if (item.varies) notes.push(`Varies ${item.min.toFixed(2)}–${item.max.toFixed(2)}`);
+    for (const c of item.changes) {
+      notes.push(`${c.to > c.from ? 'Price up' : 'Price down'} ${c.from.toFixed(2)} → ${c.to.toFixed(2)} on ${escapeHtml(c.iso)}`);
+    }
+
+    html += `<tr class="${item.stopped ? 'recurring-stopped' : ''}">
+      <td>${escapeHtml(item.merchant)} <span class="muted">(${item.count}×)</span></td>
+      <td>${item.period.name}</td>
+      <td class="num">${item.typical.toFixed(2)}</td>
+      <td>${item.stopped ? '—' : escapeHtml(item.next)}</td>
+      <td>${escapeHtml(categoryLabel(item.category))}</td>
+      <td>${notes.join('<br>')}</td>
+      <td class="actions">
+        <button class="small secondary" onclick="addRecurringRule(${i})">+ Rule</button>
+        <button class="small secondary" onclick="addRecurringBudget(${i})">+ Budget</button>
+      </td>
+    </tr>`;
+  });
+
+  html += '</tbody></table>';
+  el.innerHTML = html;
+}
+
+/**
+ * "+ Rule" button: adds a rule for a recurring payment's merchant
+ * @param {number} i - Index into RECURRING_ITEMS
+ * @returns {string} The category used ('' if cancelled)
+ */
+function addRecurringRule(i) {
+  const item = RECURRING_ITEMS[i];
+  if (!item) return '';
+
+  const suggested = item.category === 'UNCATEGORISED' ? 'SUBSCRIPTIONS' : item.category;
+  const catInput = prompt(`Category for ${item.keyword}:`, suggested);
+  if (!catInput || !catInput.trim()) return '';
+
+  const category = normaliseCategory(catInput);
+
+  // Rules are tried from the top, so go above any rule that already catches this payment
+  const earlier = findMatchingRule(item.last, parseRules(document.getElementById('rulesBox').value));
+  addOrUpdateRuleLine(item.keyword, category, earlier ? earlier.line : 0);
+  applyRulesAndRender({keepPage: true});
+  return category;
+}
+
+/**
+ * "+ Budget" button: sets a monthly budget for a recurring payment's category
+ * The suggestion is the payment converted to a monthly amount, added on top
+ * of any budget the category already has (the prompt says so)
+ * @param {number} i - Index into RECURRING_ITEMS
+ */
+function addRecurringBudget(i) {
+  const item = RECURRING_ITEMS[i];
+  if (!item) return;
+
+  // A budget needs a category to land in - add a rule first if there isn't one
+  let category = item.category;
+  if (category === 'UNCATEGORISED') {
+    category = addRecurringRule(i);
+    if (!category) return;
+  }
+
+  const monthly = item.typical * item.period.perMonth;
+  const existing = CURRENT_BUDGETS.get(category) || 0;
+  const message = existing
+    ? `Monthly budget for ${categoryLabel(category)}.\nThe current budget is ${existing.toFixed(2)}; the suggestion adds ${monthly.toFixed(2)} a month for ${item.merchant}. ` +
+      `If the current budget already covers it, keep ${existing.toFixed(2)}.`
+    : `Monthly budget for ${categoryLabel(category)}:`;
+  const input = prompt(message, (existing + monthly).toFixed(2));
+  if (input === null) return;
+
+  const amount = parseAmount(input);
+  if (isNaN(amount) || amount <= 0) {
+    alert('Please enter a budget amount greater than zero.');
+    return;
+  }
+
+  addOrUpdateBudgetLine(category, amount);
+  applyRulesAndRender({keepPage: true});
+}
+
+// ============================================================================
+// SECTION 9C: TRANSFERS BETWEEN OWN ACCOUNTS
+// ============================================================================
+// Moving money from one of our accounts to another shows up as spending on
+// one statement and income on the other. Both sides go to TRANSFER and are
+// left out of the totals unless "Include transfers" is ticked.
+// Equal and opposite amounts are only paired when both sides are tagged with
+// different accounts; otherwise they're as likely to be a purchase and its
+// refund, so untagged transactions only become transfers through @transfer
+
+/**
+ * Key used to remember that a match is "not a transfer"
+ * @param {Object} a - Transaction
+ * @param {Object} b - Other side of the pair (omit for keyword matches)
+ * @returns {string} Stable key made from the transaction ids
+ */
+function transferKey(a, b = null) {
+  return b ? [a.id, b.id].sort().join('|') : a.id;
+}
+
+/**
+ * Finds transfers between own accounts
+ * Pairs a payment out with a payment in of exactly the same size within a few
+ * days (closest dates first), and adds anything matching an "@transfer" keyword
+ * @param {Array} txns - All loaded transactions
+ * @param {Array} keywords - Lowercase keywords from "@transfer" lines
+ * @returns {Object} Object with {byId, pairs, keywordHits}
+ *   byId: Map of transaction id -> match; pairs: [{out, in, key}]; keywordHits: [{txn, keyword, key}]
+ */
+function detectTransfers(txns, keywords = []) {
+  const byId = new Map();
+  const pairs = [];
+  const keywordHits = [];
+
+  // Declared transfer keywords first
+  for (const t of txns) {
+    const keyword = keywords.find(k => matchesKeyword(String(t.description || '').toLowerCase(), k));
+    if (!keyword || TRANSFER_DISMISSED[transferKey(t)]) continue;
+
+    const hit = { txn: t, keyword, key: transferKey(t) };
+    keywordHits.push(hit);
+    byId.set(t.id, hit);
+  }
+
+  // Group the rest by amount (in cents, ignoring the sign) - only tagged ones can pair
+  const byAmount = new Map();
+  for (const t of txns) {
+    if (!t.iso || !t.amount || !t.account || byId.has(t.id)) continue;
+    const cents = Math.abs(Math.round(t.amount * 100));
+    if (!byAmount.has(cents)) byAmount.set(cents, []);
+    byAmount.get(cents).push(t);
+  }
+
+  for (const group of byAmount.values()) {
+    const outs = group.filter(t => t.amount > 0).sort((a, b) => a.iso.localeCompare(b.iso));
+    const ins = group.filter(t => t.amount < 0);
+    if (!outs.length || !ins.length) continue;
+
+    for (const out of outs) {
+      // Closest unpaired payment in, within the window
+      let best = null;
+      let bestGap = Infinity;
+      for (const inc of ins) {
+        if (byId.has(inc.id) || TRANSFER_DISMISSED[transferKey(out, inc)]) continue;
+        // Both sides in the same account is a refund, not a transfer
+        if (accountKey(out.account) === accountKey(inc.account)) continue;
+        const gap = Math.abs(daysBetween(out.iso, inc.iso));
+        if (gap <= TRANSFER_WINDOW_DAYS && gap < bestGap) {
+          best = inc;
+          bestGap = gap;
+        }
+      }
+      if (!best) continue;
+
+      const pair = { out, in: best, key: transferKey(out, best) };
+      pairs.push(pair);
+      byId.set(out.id, pair);
+      byId.set(best.id, pair);
+    }
+  }
+
+  return { byId, pairs, keywordHits };
+}
+
+/**
+ * Checks whether a category should be left out of the spend totals
+ * @param {string} category - Category of a transaction (or split part)
+ * @returns {boolean} True for transfers, unless the user included them
+ */
+function excludedFromTotals(category) {
+  return !INCLUDE_TRANSFERS && categoryInFilter(category, TRANSFER_CATEGORY);
+}
+
+/**
+ * "Not a transfer" button: forgets a match and recalculates
+ * @param {string} key - Match key from transferKey
+ */
+function dismissTransfer(key) {
+  TRANSFER_DISMISSED[key] = true;
+  saveJson(LS_KEYS.TRANSFER_DISMISSED, TRANSFER_DISMISSED);
+  applyRulesAndRender({keepPage: true});
+}
+
+/**
+ * Brings back every match previously marked "not a transfer"
+ */
+function resetDismissedTransfers() {
+  TRANSFER_DISMISSED = {};
+  saveJson(LS_KEYS.TRANSFER_DISMISSED, TRANSFER_DISMISSED);
+  applyRulesAndRender({keepPage: true});
+}
+
+/**
+ * Renders the list of detected transfers for review
+ */
+function renderTransfers() {
+  const el = document.getElementById('transferList');
+  if (!el) return;
+
+  const { pairs, keywordHits } = TRANSFERS;
+  const dismissedCount = Object.keys(TRANSFER_DISMISSED).length;
+  const side = (t) => `${escapeHtml(t.iso || t.date)} · ${t.amount.toFixed(2)} · ${escapeHtml(t.description)}`;
+  const dismissBtn = (key) => `<button class="small secondary" data-key="${escapeHtml(key)}">Not a transfer</button>`;
+
+  let html = `<p>${pairs.length} matched pair(s), ${keywordHits.length} keyword match(es).</p>`;
+
+  if (pairs.length || keywordHits.length) {
+    html += '<table class="transfers zebra"><thead><tr><th>Out</th><th>In</th><th></th></tr></thead><tbody>';
+    for (const p of pairs) {
+      html += `<tr><td>${side(p.out)}</td><td>${side(p.in)}</td><td class="actions">${dismissBtn(p.key)}</td></tr>`;
+    }
+    for (const h of keywordHits) {
+      const cells = h.txn.amount > 0
+        ? `<td>${side(h.txn)}</td><td class="muted">@transfer ${escapeHtml(h.keyword)}</td>`
+        : `<td class="muted">@transfer ${escapeHtml(h.keyword)}</td><td>${side(h.txn)}</td>`;
+      html += `<tr>${cells}<td class="actions">${dismissBtn(h.key)}</td></tr>`;
+    }
+    html += '</tbody></table>';
+  }
+
+  if (dismissedCount) {
+    html += `<p><button class="small secondary" id="resetTransfersBtn">Show ${dismissedCount} dismissed match(es) again</button></p>`;
+  }
+
+  el.innerHTML = html;
+
+  el.querySelectorAll('button[data-key]').forEach(btn => {
+    btn.addEventListener('click', () => dismissTransfer(btn.getAttribute('data-key')));
+  });
+  const resetBtn = document.getElementById('resetTransfersBtn');
+  if (resetBtn) resetBtn.addEventListener('click', resetDismissedTransfers);
+}
+
+// ============================================================================
+// SECTION 9D: MONTH-BY-MONTH COMPARISON
+// ============================================================================
+// Categories down the side, months across the top, built with the same
+// computeCategoryTotals as the totals table (so splits and transfers agree).
+// Each cell shows the change from the month before; clicking it filters the
+// transactions table to that month and category
+
+/**
+ * Builds the month-by-month comparison data
+ * Covers every month from the first to the last transaction (gaps show as 0),
+ * for the selected account. Parent categories include their subcategories
+ * @returns {Object} {months, rows, monthTotals} - rows are
+ *   {path, depth, name, byMonth: Map(month -> total), total, average}
+ */
+function buildMonthMatrix() {
+  const txns = accountFilteredTxns();
+  categorise(txns, CURRENT_RULES);
+
+  const dated = txns.filter(t => t.iso).map(txnMonth).sort();
+  if (!dated.length) return { months: [], rows: [], monthTotals: new Map() };
+  const months = monthsBetween(dated[0], dated[dated.length - 1]);
+
+  // Totals per category per month, added up into every parent category too
+  const cells = new Map();        // path -> Map(month -> total)
+  const monthTotals = new Map();  // month -> grand total
+  const overall = new Map();      // leaf category -> total across all months
+
+  for (const month of months) {
+    const { rows, grand } = computeCategoryTotals(txns.filter(t => txnMonth(t) === month));
+    monthTotals.set(month, grand);
+
+    for (const [cat, total] of rows) {
+      overall.set(cat, (overall.get(cat) || 0) + total);
+      const parts = cat.split(':');
+      parts.forEach((_, i) => {
+        const path = parts.slice(0, i + 1).join(':');
+        if (!cells.has(path)) cells.set(path, new Map());
+        const byMonth = cells.get(path);
+        byMonth.set(month, (byMonth.get(month) || 0) + total);
+      });
+    }
+  }
+
+  // Same order as the totals table: biggest first, subcategories under their parent
+  const rows = [];
+  const addRows = (node, depth) => {
+    const byMonth = cells.get(node.path) || new Map();
+    const total = [...byMonth.values()].reduce((a, b) => a + b, 0);
+    rows.push({ path: node.path, depth, name: node.name, byMonth, total, average: total / months.length });
+
+    [...node.children.values()]
+      .sort((a, b) => b.total - a.total)
+      .forEach(child => addRows(child, depth + 1));
+  };
+  [...buildCategoryTree([...overall.entries()]).children.values()]
+    .sort((a, b) => b.total - a.total)
+    .forEach(node => addRows(node, 0));
+
+  return { months, rows, monthTotals };
+}
+
+/**
+ * Formats the change from the previous month for a matrix cell
+ * Colours follow spending: green when net spending went down, red when it went up
+ * @param {number} now - This month's total
+ * @param {number|undefined} before - Last month's total (undefined for the first month)
+ * @returns {string} HTML (empty for the first month or no change)
+ */
+function monthChangeHtml(now, before) {
+  if (before === undefined) return '';
+  const diff = now - before;
+  if (Math.abs(diff) < 0.005) return '';
+
+  const arrow = diff > 0 ? '▲' : '▼';
+  const cls = diff > 0 ? 'change-up' : 'change-down';
+  const pct = Math.abs(before) >= 0.005 ? `${Math.abs(diff / before * 100).toFixed(0)}%` : 'new';
+
+  return `<span class="month-change ${cls}" title="${diff > 0 ? '+' : ''}${diff.toFixed(2)} on the month before">${arrow} ${pct}</span>`;
+}
+
+/**
+ * Draws the month-by-month comparison table
+ */
+function renderMonthMatrix() {
+  const el = document.getElementById('monthMatrix');
+  const { months, rows, monthTotals } = buildMonthMatrix();
+
+  if (!months.length) {
+    el.innerHTML = '<p class="muted">Load some transactions to compare months.</p>';
+    return;
+  }
+
+  /**
+   * Builds a clickable amount cell (filters the transactions table when clicked)
+   * @param {number} amount - Cell amount
+   * @param {string} month - 'YYYY-MM', or '' for all months
+   * @param {string} category - Category path, or '' for all categories
+   * @param {string} extra - Additional HTML after the amount
+   * @returns {string} HTML for the cell
+   */
+  const cell = (amount, month, category, extra = '') =>
+    `<td class="num"><a class="matrix-cell" data-month="${month}" data-cat="${escapeHtml(category)}">${amount.toFixed(2)}</a>${extra}</td>`;
+
+  let html = '<table class="month-matrix"><thead><tr><th>Category</th>';
+  html += months.map(m => `<th class="num">${escapeHtml(formatMonthLabel(m))}</th>`).join('');
+  html += '<th class="num">Total</th><th class="num">Avg / month</th></tr></thead><tbody>';
+
+  for (const row of rows) {
+    const label = row.depth ? toTitleCase(row.name) : categoryLabel(row.path);
+    html += `<tr class="${row.depth ? '' : 'matrix-top'}"><td style="padding-left:${row.depth * 24}px">${escapeHtml(label)}</td>`;
+    months.forEach((m, i) => {
+      const before = i ? (row.byMonth.get(months[i - 1]) || 0) : undefined;
+      const now = row.byMonth.get(m) || 0;
+      html += cell(now, m, row.path, monthChangeHtml(now, before));
+    });
+    html += cell(row.total, '', row.path);
+    html += `<td class="num">${row.average.toFixed(2)}</td></tr>`;
+  }
+
+  // Footer: every category added up, per month
+  const grand = [...monthTotals.values()].reduce((a, b) => a + b, 0);
+  html += '</tbody><tfoot><tr><td>Total</td>';
+  months.forEach((m, i) => {
+    const before = i ? monthTotals.get(months[i - 1]) : undefined;
+    html += cell(monthTotals.get(m), m, '', monthChangeHtml(monthTotals.get(m), before));
+  });
+  html += cell(grand, '', '');
+  html += `<td class="num">${(grand / months.length).toFixed(2)}</td></tr></tfoot></table>`;
+
+  el.innerHTML = html;
+
+  el.querySelectorAll('a.matrix-cell').forEach(a => {
+    a.addEventListener('click', () => {
+      filterToMonthAndCategory(a.getAttribute('data-month'), a.getAttribute('data-cat'));
+    });
+  });
+}
+
+/**
+ * Filters the transactions table to one month and category (from a matrix cell)
+ * and scrolls down to it
+ * @param {string} month - 'YYYY-MM', or '' for all months
+ * @param {string} category - Category path, or '' for all categories
+ */
+function filterToMonthAndCategory(month, category) {
+  PERIOD_FILTER = month || "";
+  saveJson(LS_KEYS.MONTH, PERIOD_FILTER);
+  rebuildPeriodDropdown();
+
+  CURRENT_FILTER = category || null;
+  saveJson(LS_KEYS.FILTER, CURRENT_FILTER || '');
+
+  // Open the transactions table if it's hidden
+  if (isTxnsCollapsed()) {
+    setTxnsCollapsed(false);
+    applyTxnsCollapsedUI();
+  }
+
+  updateFilterUI();
+  updateMonthBanner();
+  CURRENT_PAGE = 1;
+  applyRulesAndRender();
+
+  const table = document.getElementById('transactionsTable');
+  if (table.scrollIntoView) table.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// ============================================================================
+// SECTION 9E: SPENDING CHARTS
+// ============================================================================
+// Three charts drawn by charts.js: a donut of the category split for the
+// selected period, spending per month stacked by category, and net spending
+// (spending minus income) per month. The monthly charts use buildMonthMatrix,
+// so they agree with "Compare months". Clicking a slice, bar or legend entry
+// filters by that category, like clicking a category in the totals table
+
+// Categories that get their own colour; the rest are added up as "Other"
+const CHART_MAX_CATEGORIES = 8;
+const CHART_OTHER_COLOR = '#c8c8d0';
+
+/**
+ * Shortens a month for chart labels
+ * Example: "2025-06" becomes "Jun 25"
+ * @param {string} ym - Month in 'YYYY-MM' format
+ * @returns {string} Short month label
+ */
+function shortMonthLabel(ym) {
+  return dateFromIso(`${ym}-01`).toLocaleString(undefined, { month: 'short', year: '2-digit' });
+}
+
+/**
+ * Draws the three charts (only called while the Charts section is open)
+ */
+function renderCharts() {
+  const txns = periodFilteredTxns();
+  categorise(txns, CURRENT_RULES);
+  const { months, rows, monthTotals } = buildMonthMatrix();
+
+  // Biggest top-level categories across all months keep the same colour in both charts
+  const top = rows.filter(r => !r.depth && r.total > 0).slice(0, CHART_MAX_CATEGORIES).map(r => r.path);
+  const colorOf = (path) => top.includes(path) ? SL_Charts.colorAt(top.indexOf(path)) : CHART_OTHER_COLOR;
+  const empty = 'Load some transactions to see charts.';
+
+  // Donut: spending per top-level category in the selected period
+  const byParent = new Map();
+  for (const [cat, total] of computeCategoryTotals(txns).rows) {
+    const parent = normaliseCategory(cat).split(':')[0];
+    byParent.set(parent, (byParent.get(parent) || 0) + total);
+  }
+  const slices = [];
+  let other = 0;
+  for (const [path, total] of [...byParent.entries()].sort((a, b) => b[1] - a[1])) {
+    if (total <= 0) continue;   // Income and refunds aren't spending
+    if (top.includes(path)) slices.push({ key: path, label: categoryLabel(path), value: total, color: colorOf(path) });
+    else other += total;
+  }
+  if (other > 0) slices.push({ key: '', label: 'Other', value: other, color: CHART_OTHER_COLOR });
+
+  SL_Charts.donut(document.getElementById('chartDonut'), slices, {
+    selected: CURRENT_FILTER ? normaliseCategory(CURRENT_FILTER).split(':')[0] : '',
+    empty,
+    onSelect: setCategoryFilter
+  });
+
+  // Stacked bars: spending per month, one piece per top-level category
+  const topRows = rows.filter(r => !r.depth);
+  const series = top.map(path => {
+    const row = topRows.find(r => r.path === path);
+    return { key: path, label: categoryLabel(path), color: colorOf(path), values: months.map(m => row.byMonth.get(m) || 0) };
+  });
+  const rest = topRows.filter(r => !top.includes(r.path));
+  if (rest.length) {
+    series.push({
+      key: '', label: 'Other', color: CHART_OTHER_COLOR,
+      values: months.map(m => rest.reduce((sum, r) => sum + Math.max(0, r.byMonth.get(m) || 0), 0))
+    });
+  }
+
+  SL_Charts.stackedBars(document.getElementById('chartBars'), {
+    columns: months.map(m => ({ key: m, label: shortMonthLabel(m) })),
+    series
+  }, { empty, onSelect: setCategoryFilter });
+
+  // Line: net spending per month (below zero = more came in than went out)
+  SL_Charts.line(document.getElementById('chartNet'),
+    months.map(m => ({ label: shortMonthLabel(m), value: monthTotals.get(m) || 0 })),
+    { empty });
+}
+
+// ============================================================================
+// SECTION 10: MAIN RENDER FUNCTION
+// ============================================================================
+
+/**
+ * Applies rules to transactions and re-renders all UI elements
+ * This is the main "refresh" function called when data changes
+ * @param {Object} options - Options object
+ * @param {boolean} options.keepPage - If true, stay on current page (don't reset to page 1)
+ */
+function applyRulesAndRender({keepPage = false} = {}) { 
+  if (!keepPage) {
+    CURRENT_PAGE = 1;  // Reset to first page
+  }
+  
+  // Parse rules, budgets and transfer keywords from textarea
+  CURRENT_RULES = parseRules(document.getElementById('rulesBox').value);
+  const directives = parseDirectives(document.getElementById('rulesBox').value);
+  CURRENT_BUDGETS = directives.budgets;
+
+  // Find transfers across all months (the two sides may fall in different months)
+  TRANSFERS = detectTransfers(CURRENT_TXNS, directives.transfers);
+  
+  // Save rules
+  saveJson(LS_KEYS.RULES, document.getElementById('rulesBox').value);
+  
+  // Get month-filtered transactions
+  const txns = periodFilteredTxns();
+  
+  // Apply categorization rules
+  categorise(txns, CURRENT_RULES);
+  
+  // Re-render all UI sections
+  renderMonthTotals();
+  renderCategoryTotals(txns);
+  renderTransactionsTable(txns);
+
+  // Keep the diagnostics panel in step with the rules, if it's open
+  if (document.getElementById('ruleDiagnostics').style.display !== 'none') {
+    renderRuleDiagnostics();
+  }
+
+  // Same for the recurring payments and transfer lists
+  if (document.getElementById('recurringDetails').open) {
+    renderRecurring();
+  }
+  if (document.getElementById('transfersDetails').open) {
+    renderTransfers();
+  }
+  if (document.getElementById('monthMatrixDetails').open) {
+    renderMonthMatrix();
+  }
+  if (document.getElementById('chartsDetails').open) {
+    renderCharts();
+  }
+  
+  // Save updated transactions
+  saveTxnsToStore();
+  
+  try { updateMonthBanner(); } catch {}
+}
+
+// ============================================================================
+// SECTION 11: TRANSACTION TABLE RENDERING
+// ============================================================================
+
+/**
+ * Filters transactions by active category filter and search
+ * A parent category also matches its subcategories, and a split transaction
+ * is kept if any of its parts is in view (see partInView)
+ * @param {Array} txns - Transactions to filter
+ * @returns {Array} Filtered transactions
+ */
+function getFilteredTxns(txns) {
+  if (!CURRENT_FILTER && !CURRENT_SEARCH.terms.length) return txns;
+  
+  return txns.filter(matchesSearch);
+}
+
+/**
+ * Updates the filter UI to show active filter or hide it
+ */
+function updateFilterUI() {
+  const label = document.getElementById('activeFilter');
+  const btn = document.getElementById('clearFilterBtn');
+  
+  if (CURRENT_FILTER) {
+    label.textContent = `— filtered by "${CURRENT_FILTER}"`;
+    btn.style.display = '';  // Show "clear filter" button
+  } else {
+    label.textContent = '';
+    btn.style.display = 'none';  // Hide button
+  }
+}
+
+/**
+ * Updates the month banner text
+ */
+function updateMonthBanner() {
+  const banner = document.getElementById('monthBanner');
+  banner.textContent = `— ${periodDescription(PERIOD_FILTER)}`;
+}
+
+/**
+ * Renders the transactions table with pagination
+ * @param {Array} txns - Transactions to display (defaults to month-filtered)
+ */
+function renderTransactionsTable(txns = periodFilteredTxns()) {
+  const filtered = getFilteredTxns(txns);
+  
+  // Calculate total pages
+  const totalPages = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  
+  // Ensure current page is valid
+  if (CURRENT_PAGE > totalPages) CURRENT_PAGE = totalPages;
+  if (CURRENT_PAGE < 1) CURRENT_PAGE = 1;
+  
+  // Calculate which transactions to show on this page
+  const start = (CURRENT_PAGE - 1) * PAGE_SIZE;
+  const pageItems = filtered.slice(start, start + PAGE_SIZE);
+  
+  const table = document.getElementById('transactionsTable');
+  
+  // Build table HTML
+  let html = '<tr><th>Date</th><th>Amount</th><th>Category</th><th>Description</th><th>Account</th><th></th></tr>';
+  
+  pageItems.forEach((t) => {
+    // Get the original index in CURRENT_TXNS (needed for the + button)
+    const idx = CURRENT_TXNS.indexOf(t);
+    const cat = (t.category || 'UNCATEGORISED').toUpperCase();
+    const displayCat = categoryLabel(cat);
+
+    // Hand-picked categories get a marker and a button to hand back to the rules
+    const overridden = !!getCategoryOverride(t);
+    const marker = overridden
+      ? ` <span class="override-mark" title="Set by hand (rules say: ${escapeHtml(categoryLabel(ruleCategoryFor(t)))})">✎</span>`
+      : '';
+    const revert = overridden
+      ? ` <button class="rule-btn revert-btn" title="Revert to rule" onclick="revertToRule(${idx})">↺</button>`
+      : '';
+    const split = ` <button class="rule-btn split-btn" title="Split across categories" onclick="splitTransaction(${idx})">÷</button>`;
+
+    // A split transaction shows "Split (n)" and can be expanded to show its parts
+    const parts = getTxnSplit(t);
+    const expanded = parts && EXPANDED_SPLITS.has(t.id);
+    const catCell = parts
+      ? `<a class="split-toggle" onclick="toggleSplitRows(${idx})">${expanded ? '▾' : '▸'} Split (${parts.length})</a>`
+      : `<span class="category-name">${escapeHtml(displayCat)}</span>${marker}`;
+    
+    html += `<tr${overridden && !parts ? ' class="overridden"' : ''}>
+      <td>${escapeHtml(t.iso || t.date)}</td>
+      <td>${t.amount.toFixed(2)}</td>
+      <td>${catCell}</td>
+      <td>${escapeHtml(t.description)}</td>
+      <td>${escapeHtml(t.account || '')}</td>
+      <td class="actions"><button class="rule-btn" onclick="assignCategory(${idx})">+</button>${split}${revert}</td>
+    </tr>`;
+
+    // Child rows, one per part
+    if (expanded) {
+      parts.forEach((part, i) => {
+        html += `<tr class="split-part">
+          <td></td>
+          <td>${part.amount.toFixed(2)}</td>
+          <td><span class="category-name">${escapeHtml(categoryLabel(part.category))}</span></td>
+          <td class="muted">Part ${i + 1} of ${parts.length}</td>
+          <td></td>
+          <td></td>
+        </tr>`;
+      });
+    }
+  });
+  
+  table.innerHTML = html;
+  
+  // Render pagination controls
+  renderPager(totalPages);
+}
+
+/**
+ * Renders the pagination controls
+ * @param {number} totalPages - Total number of pages
+ */
+function renderPager(totalPages) {
+  const pager = document.getElementById('pager');
+  if (!pager) return;
+  
+  const pages = totalPages || 1;
+  const cur = CURRENT_PAGE;
+
+  /**
+   * Helper function to create a page button
+   * @param {string} label - Button text
+   * @param {number} page - Page number to navigate to
+   * @param {boolean} disabled - Whether button should be disabled
+   * @param {boolean} isActive - Whether this is the current page
+   * @returns {string} HTML for button
+   */
+  function pageButton(label, page, disabled = false, isActive = false) {
+    const disAttr = disabled ? ' disabled' : '';
+    const activeClass = isActive ? ' active' : '';
+    return `<button class="page-btn${activeClass}" data-page="${page}"${disAttr}>${label}</button>`;
+  }
+
+  // Calculate which page numbers to show
+  // Show 5 page numbers centered around current page
+  const windowSize = 5;
+  let start = Math.max(1, cur - Math.floor(windowSize / 2));
+  let end = Math.min(pages, start + windowSize - 1);
+  start = Math.max(1, Math.min(start, end - windowSize + 1));
+
+  let html = '';
+  
+  // First and Previous buttons
+  html += pageButton('First', 1, cur === 1);
+  html += pageButton('Prev', Math.max(1, cur - 1), cur === 1);
+
+  // Page number buttons
+  for (let p = start; p <= end; p++) {
+    html += pageButton(String(p), p, false, p === cur);
+  }
+
+  // Next and Last buttons
+  html += pageButton('Next', Math.min(pages, cur + 1), cur === pages);
+  html += pageButton('Last', pages, cur === pages);
+  
+  // Page indicator
+  html += `<span style="margin-left:8px">Page ${cur} / ${pages}</span>`;
+
+  pager.innerHTML = html;
+  
+  // Add click handlers to all buttons
+  pager.querySelectorAll('button.page-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const page = Number(e.currentTarget.getAttribute('data-page'));
+      if (!page || page === CURRENT_PAGE) return;
+      
+      CURRENT_PAGE = page;
+      renderTransactionsTable();
+    });
+  });
+
+  // Bonus feature: Mouse wheel to flip pages
+  const table = document.getElementById('transactionsTable');
+  if (table && !table._wheelBound) {
+    table.addEventListener('wheel', (e) => {
+      if (pages <= 1) return;
+      
+      // Scroll down = next page, scroll up = previous page
+      if (e.deltaY > 0 && CURRENT_PAGE < pages) {
+        CURRENT_PAGE++;
+        renderTransactionsTable();
+      } else if (e.deltaY < 0 && CURRENT_PAGE > 1) {
+        CURRENT_PAGE--;
+        renderTransactionsTable();
+      }
+    }, { passive: true });
+    
+    table._wheelBound = true;  // Flag to prevent adding multiple listeners
+  }
+}
+
+// ============================================================================
+// SECTION 11A: SEARCH AND SAVED VIEWS
+// ============================================================================
+// The search box narrows the transactions table on top of the period, account
+// and category filters. Words must all appear in the description, category or
+// account; "quotes" keep a phrase together and a leading - excludes a term.
+// Field terms:
+//   desc:uber                     description contains "uber"
+//   cat:food  cat:uncategorised   category (a parent includes its subcategories)
+//                                 (each part of a split is checked on its own)
+//   amount>100  amount<0          amount with its sign (money spent is positive)
+//   amount:10..20                 amount between two values
+//   date:2025-06-01..2025-06-15   also date>=, date<, ... as in rules
+//   type:debit  account:visa  day:sat,sun   as in rules
+// A query can be saved under a name (a "view") and picked again later
+
+/**
+ * Splits a search into terms, keeping "quoted phrases" (and field:"phrase") together
+ * @param {string} text - Search text
+ * @returns {Array} Terms, e.g. ['-desc:"uber eats"', 'amount>100']
+ */
+function tokenizeSearch(text) {
+  return String(text || '').match(/-?(?:[a-z]+(?:<=|>=|!=|[<>=:]))?"[^"]*"?|\S+/gi) || [];
+}
+
+/**
+ * Reads one search term
+ * @param {string} token - Term from tokenizeSearch
+ * @returns {Object} {kind, value, op, negate}; kind is 'text', 'desc', 'cat', 'amount' or 'rule'
+ *   ('rule' terms hold a condition from parseRuleCondition)
+ * @throws {Error} If the term looks like a field but can't be read
+ */
+function parseSearchTerm(token) {
+  let negate = false;
+  let text = token;
+  if (text.length > 1 && text.startsWith('-')) {
+    negate = true;
+    text = text.slice(1);
+  }
+  const unquote = (s) => s.replace(/^"|"$/g, '');
+  let m;
+
+  // desc:uber or desc:"uber eats"
+  if ((m = text.match(/^desc:(.*)$/i))) {
+    const value = unquote(m[1]).toLowerCase();
+    if (!value) throw new Error(`desc needs some text, e.g. desc:uber ("${token}")`);
+    return { kind: 'desc', value, negate };
+  }
+
+  // cat:food, cat:food:groceries, cat:uncategorised (or uncategorized)
+  if ((m = text.match(/^cat:(.*)$/i))) {
+    const value = normaliseCategory(unquote(m[1])).replace(/^UNCATEGORIZED$/, 'UNCATEGORISED');
+    if (!value) throw new Error(`cat needs a category, e.g. cat:food ("${token}")`);
+    return { kind: 'cat', value, negate };
+  }
+
+  // amount>100, amount<0, amount<=-50, amount:10..20 (signed, unlike rules)
+  if ((m = text.match(/^amount(<=|>=|!=|<|>|=|:)(.*)$/i))) {
+    const num = '-?\\d+(?:\\.\\d+)?';
+    if (m[1] === ':') {
+      const r = m[2].match(new RegExp(`^(${num})\\.\\.(${num})$`));
+      if (!r) throw new Error(`amount range should look like amount:10..20 ("${token}")`);
+      return { kind: 'amount', op: 'between', value: [Number(r[1]), Number(r[2])], negate };
+    }
+    if (!new RegExp(`^${num}$`).test(m[2])) throw new Error(`amount needs a number ("${token}")`);
+    return { kind: 'amount', op: m[1], value: Number(m[2]), negate };
+  }
+
+  // date, type, account and day work the same as in rules (account:"everyday card" too)
+  const cond = parseRuleCondition(text.replace(/^([a-z]+(?:<=|>=|!=|[<>=:]))"([^"]*)"?$/i, '$1$2'));
+  if (cond) return { kind: 'rule', value: cond, negate };
+
+  const value = unquote(text).toLowerCase();
+  return { kind: 'text', value, negate };
+}
+
+/**
+ * Reads a whole search
+ * Terms that can't be read are left out and reported
+ * @param {string} text - Search text
+ * @returns {Object} {terms, errors} - errors are messages for the terms left out
+ */
+function parseSearchQuery(text) {
+  const terms = [];
+  const errors = [];
+
+  for (const token of tokenizeSearch(text)) {
+    try {
+      const term = parseSearchTerm(token);
+      if (term.kind !== 'text' || term.value) terms.push(term);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return { terms, errors };
+}
+
+/**
+ * Checks one search term (other than cat:) against a transaction (ignoring "-")
+ * @param {Object} term - Term from parseSearchTerm
+ * @param {Object} t - Transaction
+ * @returns {boolean} True if the transaction matches
+ */
+function searchTermMatches(term, t) {
+  switch (term.kind) {
+    case 'desc':
+      return String(t.description || '').toLowerCase().includes(term.value);
+    case 'amount':
+      return compareOp(Math.round((Number(t.amount) || 0) * 100) / 100, term.op, term.value);
+    case 'rule':
+      return testRuleCondition(term.value, t);
+    default: {
+      const haystack = [t.description, categoryLabel(t.category || 'UNCATEGORISED'), t.category, t.account]
+        .join(' ').toLowerCase();
+      return haystack.includes(term.value);
+    }
+  }
+}
+
+/**
+ * Checks a transaction against the category filter and every term of the current search
+ * The category filter and cat: terms are checked part by part (see partInView), so a split
+ * transaction matches when at least one of its parts is in view
+ * @param {Object} t - Transaction
+ * @returns {boolean} True if it matches them all (or there's no search)
+ */
+function matchesSearch(t) {
+  return txnParts(t).some(partInView) &&
+    CURRENT_SEARCH.terms.every(term => term.kind === 'cat' || searchTermMatches(term, t) !== term.negate);
+}
+
+/**
+ * Checks whether one part of a (possibly split) transaction is in view:
+ * with a category filter or cat: terms, only the matching parts count
+ * @param {Object} part - Part from txnParts
+ * @returns {boolean} True if the part should be counted / exported
+ */
+function partInView(part) {
+  if (CURRENT_FILTER && !categoryInFilter(part.category, CURRENT_FILTER)) return false;
+  return CURRENT_SEARCH.terms
+    .filter(term => term.kind === 'cat')
+    .every(term => categoryInFilter(part.category, term.value) !== term.negate);
+}
+
+/**
+ * Sets the search, saves it and redraws the table and the summary totals
+ * @param {string} text - Search text ('' to clear)
+ */
+function setSearchQuery(text) {
+  const query = String(text || '').trim();
+  CURRENT_SEARCH = { text: query, ...parseSearchQuery(query) };
+  saveJson(LS_KEYS.SEARCH, query);
+
+  const input = document.getElementById('txnSearch');
+  if (input.value.trim() !== query) input.value = query;
+  document.getElementById('txnSearchError').textContent = CURRENT_SEARCH.errors.join(' · ');
+
+  // Keep the saved view picked only while its query is showing
+  const views = document.getElementById('savedViews');
+  const view = getSavedViews().find(v => v.id === views.value);
+  if (view && view.query !== query) rebuildSavedViewsDropdown();
+
+  CURRENT_PAGE = 1;
+  renderTransactionsTable();
+  renderMonthTotals();
+}
+
+/**
+ * Gets the saved views
+ * @returns {Array} Views ({id, name, query}) in the order they were saved
+ */
+function getSavedViews() {
+  const views = loadJson(LS_KEYS.SAVED_VIEWS, []);
+  return Array.isArray(views) ? views : [];
+}
+
+/**
+ * Rebuilds the saved views dropdown
+ * @param {string} selectedId - View to show as picked (optional)
+ */
+function rebuildSavedViewsDropdown(selectedId = '') {
+  const sel = document.getElementById('savedViews');
+  sel.innerHTML = `<option value="">Saved views…</option>` +
+    getSavedViews().map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}</option>`).join('');
+  sel.value = selectedId;
+  document.getElementById('deleteViewBtn').disabled = !selectedId;
+}
+
+/**
+ * Saves the current search as a named view (the same name replaces it)
+ */
+function saveCurrentView() {
+  if (!CURRENT_SEARCH.text) {
+    showSaveStatus('✕ Type a search first, then save it as a view', 'error');
+    return;
+  }
+
+  const name = prompt('Name for this view:', '');
+  if (!name || !name.trim()) return;
+
+  const views = getSavedViews();
+  const existing = views.find(v => v.name.toLowerCase() === name.trim().toLowerCase());
+  const view = { id: existing ? existing.id : `view_${Date.now()}`, name: name.trim(), query: CURRENT_SEARCH.text };
+  saveJson(LS_KEYS.SAVED_VIEWS, existing ? views.map(v => v === existing ? view : v) : [...views, view]);
+
+  rebuildSavedViewsDropdown(view.id);
+  showSaveStatus(`✓ Saved view "${view.name}"`, 'success');
+}
+
+/**
+ * Deletes the view picked in the dropdown
+ */
+function deleteSavedView() {
+  const id = document.getElementById('savedViews').value;
+  if (!id) return;
+
+  saveJson(LS_KEYS.SAVED_VIEWS, getSavedViews().filter(v => v.id !== id));
+  rebuildSavedViewsDropdown();
+}
+
+// ============================================================================
+// SECTION 12: EXPORT FUNCTIONS
+// ============================================================================
+
+/**
+ * Exports category totals as a formatted text file
+ */
+function exportTotals() {
+  const txns = periodFilteredTxns();
+  const { rows, grand } = computeCategoryTotals(txns);
+
+  const label = periodLabel(PERIOD_FILTER);
+  const header = `SpendLite Category Totals (${periodDescription(PERIOD_FILTER)})`;
+
+  // Calculate column widths for nice alignment
+  const catWidth = Math.max(8, ...rows.map(([cat]) => categoryLabel(cat).length), 'Category'.length);
+  const amtWidth = 12;
+  const pctWidth = 6;
+
+  const lines = [];
+  lines.push(header);
+  lines.push('='.repeat(header.length));  // Underline
+  
+  // Header row
+  lines.push(
+    'Category'.padEnd(catWidth) + ' ' +
+    'Amount'.padStart(amtWidth) + ' ' +
+    '%'.padStart(pctWidth)
+  );
+
+  // Data rows
+  for (const [cat, total] of rows) {
+    const pct = grand ? (total / grand * 100) : 0;
+    lines.push(
+      categoryLabel(cat).padEnd(catWidth) + ' ' +
+      total.toFixed(2).padStart(amtWidth) + ' ' +
+      (pct.toFixed(1) + '%').padStart(pctWidth)
+    );
+  }
+
+  // Total row
+  lines.push('');
+  lines.push(
+    'TOTAL'.padEnd(catWidth) + ' ' +
+    grand.toFixed(2).padStart(amtWidth) + ' ' +
+    '100%'.padStart(pctWidth)
+  );
+
+  // Create downloadable file
+  const blob = new Blob([lines.join('\n')], { type: 'text/plain' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `category_totals_${forFilename(label)}.txt`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+// Columns the transaction export can include, in their default order
+// value(t, part, i, n) gets the transaction, the split part being written,
+// and the part's position (i of n) - unsplit transactions are one part of one
+const EXPORT_COLUMNS = [
+  { key: 'date', label: 'Date', on: true, value: t => t.iso || t.date || '' },
+  { key: 'amount', label: 'Amount', on: true, value: (t, part) => Number(part.amount.toFixed(2)) },
+  { key: 'category', label: 'Category', on: true, value: (t, part) => part.category },
+  { key: 'description', label: 'Description', on: true, value: t => t.description || '' },
+  { key: 'account', label: 'Account', on: true, value: t => t.account || '' },
+  { key: 'categorisedBy', label: 'Categorised by', on: false, value: t => categorisedBy(t) },
+  { key: 'split', label: 'Split part', on: false, value: (t, part, i, n) => n > 1 ? `${i + 1} of ${n}` : '' },
+  { key: 'statementDate', label: 'Date as in statement', on: false, value: t => t.date || '' },
+  { key: 'id', label: 'Transaction id', on: false, value: t => t.id || '' }
+];
+
+/**
+ * Says where a transaction's category came from (for the export)
+ * @param {Object} t - Transaction (already categorised)
+ * @returns {string} 'split', 'hand-picked', 'transfer', 'rule' or 'none'
+ */
+function categorisedBy(t) {
+  if (getTxnSplit(t)) return 'split';
+  if (getCategoryOverride(t)) return 'hand-picked';
+  if (TRANSFERS.byId.has(t.id)) return 'transfer';
+  return t.category && t.category !== 'UNCATEGORISED' ? 'rule' : 'none';
+}
+
+/**
+ * Reads the saved export options
+ * Columns added in later versions appear at the end with their default setting
+ * @returns {Object} {format: 'csv'|'json', columns: [{key, on}, ...]}
+ */
+function loadExportOptions() {
+  const saved = loadJson(LS_KEYS.EXPORT_OPTIONS, {}) || {};
+  const known = new Map(EXPORT_COLUMNS.map(c => [c.key, c]));
+
+  const columns = (Array.isArray(saved.columns) ? saved.columns : [])
+    .filter(c => c && known.has(c.key))
+    .map(c => ({ key: c.key, on: !!c.on }));
+  for (const c of EXPORT_COLUMNS) {
+    if (!columns.some(x => x.key === c.key)) columns.push({ key: c.key, on: c.on });
+  }
+
+  return { format: saved.format === 'json' ? 'json' : 'csv', columns };
+}
+
+/**
+ * Shows the export column list: a tick box and ↑ ↓ buttons per column
+ */
+function renderExportColumns() {
+  const opts = loadExportOptions();
+  const list = document.getElementById('txnExportColumns');
+  const labels = new Map(EXPORT_COLUMNS.map(c => [c.key, c.label]));
+
+  document.getElementById('txnExportFormat').value = opts.format;
+  list.innerHTML = opts.columns.map((c, i) => `
+    <li>
+      <label><input type="checkbox" data-col="${i}" ${c.on ? 'checked' : ''}> ${escapeHtml(labels.get(c.key))}</label>
+      <button class="secondary small" data-move="${i}" data-dir="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+      <button class="secondary small" data-move="${i}" data-dir="1" title="Move down" ${i === opts.columns.length - 1 ? 'disabled' : ''}>↓</button>
+    </li>`).join('');
+
+  list.querySelectorAll('input[data-col]').forEach(box => {
+    box.addEventListener('change', () => {
+      opts.columns[Number(box.getAttribute('data-col'))].on = box.checked;
+      saveJson(LS_KEYS.EXPORT_OPTIONS, opts);
+    });
+  });
+
+  list.querySelectorAll('button[data-move]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const i = Number(btn.getAttribute('data-move'));
+      const j = i + Number(btn.getAttribute('data-dir'));
+      [opts.columns[i], opts.columns[j]] = [opts.columns[j], opts.columns[i]];
+      saveJson(LS_KEYS.EXPORT_OPTIONS, opts);
+      renderExportColumns();
+    });
+  });
+}
+
+/**
+ * Quotes a value for CSV if it contains a comma, quote or line break
+ * Text starting with =, +, -, @ or a tab gets a ' in front, so a spreadsheet
+ * shows it as text instead of running it as a formula (numbers are left alone)
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe text
+ */
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds the rows for the transaction export from the current view
+ * (month, account and category filters). Split transactions give one row per
+ * part; with a category filter on, only the parts in that category are kept
+ * @param {Array} columns - Column definitions to include, in order
+ * @returns {Array} Array of rows, each an array of values
+ */
+function buildExportRows(columns) {
+  const txns = periodFilteredTxns();
+  categorise(txns, CURRENT_RULES);
+
+  const rows = [];
+  for (const t of getFilteredTxns(txns)) {
+    const parts = txnParts(t);
+    parts.forEach((part, i) => {
+      if (!partInView(part)) return;
+      rows.push(columns.map(c => c.value(t, part, i, parts.length)));
+    });
+  }
+  return rows;
+}
+
+/**
+ * Exports the transactions in the current view as CSV or JSON,
+ * with the columns (and column order) chosen in the export options
+ */
+function exportTransactions() {
+  const opts = loadExportOptions();
+  const byKey = new Map(EXPORT_COLUMNS.map(c => [c.key, c]));
+  const columns = opts.columns.filter(c => c.on).map(c => byKey.get(c.key));
+
+  if (!columns.length) {
+    showSaveStatus('✕ Tick at least one column to export', 'error');
+    return;
+  }
+
+  const rows = buildExportRows(columns);
+  let text;
+  if (opts.format === 'json') {
+    text = JSON.stringify(rows.map(r => Object.fromEntries(columns.map((c, i) => [c.key, r[i]]))), null, 2);
+  } else {
+    text = [columns.map(c => c.label), ...rows].map(r => r.map(csvCell).join(',')).join('\r\n');
+  }
+
+  // File name says which view was exported, e.g. transactions_June_2025_GROCERIES.csv
+  const parts = [periodLabel(PERIOD_FILTER)];
+  if (ACCOUNT_FILTER) parts.push(ACCOUNT_FILTER === NO_ACCOUNT ? 'no_account' : ACCOUNT_FILTER);
+  if (CURRENT_FILTER) parts.push(CURRENT_FILTER.replace(/:/g, '-'));
+
+  const blob = new Blob([text], { type: opts.format === 'json' ? 'application/json' : 'text/csv' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `transactions_${forFilename(parts.join(' '))}.${opts.format}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  showSaveStatus(`✓ Exported ${rows.length} row(s)`, 'success');
+}
+
+/**
+ * Exports categorization rules to a text file
+ */
+function exportRules() {
+  const text = document.getElementById('rulesBox').value || '';
+  const blob = new Blob([text], {type: 'text/plain'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'rules_export.txt';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+/**
+ * Imports rules from a text file
+ * @param {File} file - The file to import
+ */
+function importRulesFromFile(file) {
+  const reader = new FileReader();
+  
+  reader.onload = () => {
+    const text = upgradeRulesText(reader.result || '');
+    document.getElementById('rulesBox').value = text;
+    applyRulesAndRender();
+  };
+  
+  reader.readAsText(file);
+}
+
+// ============================================================================
+// SECTION 13: CATEGORY ASSIGNMENT (ADDING RULES)
+// ============================================================================
+
+/**
+ * Helper function to extract the next word after a marker in text
+ * Example: "PAYPAL JOHNSSTORE" -> nextWordAfter("paypal", ...) returns "JOHNSSTORE"
+ * @param {string} marker - The marker to look for
+ * @param {string} desc - The description text
+ * @returns {string} The next word after the marker
+ */
+function nextWordAfter(marker, desc) {
+  const lower = (desc || '').toLowerCase();
+  const i = lower.indexOf(String(marker).toLowerCase());
+  
+  if (i === -1) return '';
+  
+  // Get text after the marker
+  let after = (desc || '').slice(i + String(marker).length);
+  
+  // Strip leading separators (space, dash, colon, slash, asterisk)
+  after = after.replace(/^[\s\-:\/*]+/, '');
+  
+  // Extract first merchant-like token
+  const m = after.match(/^([A-Za-z0-9&._]+)/);
+  return m ? m[1] : '';
+}
+
+/**
+ * Derives a sensible keyword from a transaction description
+ * Uses heuristics to handle PayPal, VISA-, and generic merchants
+ * @param {Object} txn - Transaction object
+ * @returns {string} Suggested keyword in uppercase
+ */
+function deriveKeywordFromTxn(txn) {
+  if (!txn) return "";
+  const desc = String(txn.description || txn.desc || "").trim();
+  if (!desc) return "";
+
+  // Tokenize into merchant-like words (skip very short noise)
+  const tokens = (desc.match(/[A-Za-z0-9&._]+/g) || []).map(s => s.toLowerCase());
+  if (!tokens.length) return "";
+
+  // Helper to join a window of up to 3 consecutive tokens from index k
+  function join3(k) {
+    const slice = tokens.slice(k, k + 3).filter(Boolean);
+    return slice.map(s => s.toUpperCase()).join(' ');
+  }
+
+  const up = desc.toUpperCase();
+
+  // PayPal heuristic: start window at "paypal"
+  const paypalIdx = tokens.indexOf('paypal');
+  if (paypalIdx !== -1) {
+    return join3(paypalIdx);
+  }
+
+  // VISA- heuristic: if original text has "VISA-" then prefer the token AFTER "visa"
+  if (/\bVISA-/.test(up)) {
+    const visaTokIdx = tokens.indexOf('visa');
+    if (visaTokIdx !== -1) {
+      // Start at the next token after 'visa' to skip the prefix
+      const start = Math.min(visaTokIdx + 1, Math.max(0, tokens.length - 1));
+      return join3(start);
+    }
+  }
+
+  // Generic: first 3 merchant-like tokens
+  return join3(0);
+}
+
+/**
+ * Adds or updates a rule in the rules textarea
+ * New rules go at the end, or just above line beforeLine when that rule would
+ * otherwise win first (an existing rule further down is moved up there too)
+ * @param {string} keywordUpper - Keyword in uppercase
+ * @param {string} categoryUpper - Category in uppercase
+ * @param {number} beforeLine - Rules line number to go above (0 = at the end)
+ * @returns {boolean} True if rule was added/updated
+ */
+function addOrUpdateRuleLine(keywordUpper, categoryUpper, beforeLine = 0) {
+  if (!keywordUpper || !categoryUpper) return false;
+  
+  const box = document.getElementById('rulesBox');
+  if (!box) return false;
+  
+  const lines = String(box.value || '').split(/\r?\n/);
+
+  let updated = false;
+  const kwLower = keywordUpper.toLowerCase();
+  
+  // Check if keyword already exists
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) continue;
+    
+    const parts = line.split(/=>/i);
+    if (parts.length >= 2) {
+      const existingKw = parts[0].trim().toLowerCase();
+      
+      if (existingKw === kwLower) {
+        // Update existing rule (unless it sits below the rule it has to beat)
+        if (beforeLine && i >= beforeLine) {
+          lines.splice(i, 1);
+          break;
+        }
+        lines[i] = `${keywordUpper} => ${categoryUpper}`;
+        updated = true;
+        break;
+      }
+    }
+  }
+  
+  // If not found, add new rule
+  if (!updated) {
+    if (beforeLine) lines.splice(beforeLine - 1, 0, `${keywordUpper} => ${categoryUpper}`);
+    else lines.push(`${keywordUpper} => ${categoryUpper}`);
+  }
+  
+  box.value = lines.join("\n");
+  
+  // Save rules
+  saveJson(LS_KEYS.RULES, box.value);
+  
+  return true;
+}
+
+/**
+ * Opens category picker to assign a category to a transaction
+ * This is called when user clicks the "+" button next to a transaction
+ * @param {number} idx - Index of transaction in CURRENT_TXNS array
+ */
+function assignCategory(idx) {
+  // Collect all unique categories from transactions and rules
+  const fromTxns = (Array.isArray(CURRENT_TXNS) ? CURRENT_TXNS : [])
+    .map(x => (x.category || '').trim());
+  
+  const fromRules = (Array.isArray(CURRENT_RULES) ? CURRENT_RULES : [])
+    .map(r => (r.category || '').trim ? r.category : (r.category || ''));
+
+  const fromSplits = Object.values(TXN_SPLITS).flat().map(p => p.category);
+  
+  const merged = Array.from(new Set([...fromTxns, ...fromRules, ...fromSplits]
+    .map(c => (c || '').trim())
+    .filter(Boolean)));
+
+  // Build category list
+  let base = Array.from(new Set(merged));
+  
+  // Normalize "UNCATEGORISED" variations
+  base = base.map(c => (c.toUpperCase() === 'UNCATEGORISED' ? 'Uncategorised' : c));
+  
+  if (!base.includes('Uncategorised')) base.unshift('Uncategorised');
+  base.unshift('+ Add new category...');
+
+  // Sort as a tree, parents first (except special items)
+  const specials = new Set(['+ Add new category...', 'Uncategorised']);
+  const rest = withParentCategories(base.filter(c => !specials.has(c)).map(normaliseCategory))
+    .sort(compareCategoryPaths);
+  
+  const categories = ['+ Add new category...', 'Uncategorised', ...rest];
+
+  const current = ((CURRENT_TXNS && CURRENT_TXNS[idx] && CURRENT_TXNS[idx].category) || '').trim() || 'Uncategorised';
+
+  // Open the category picker modal (defined in catpicker-modal.js)
+  SL_CatPicker.openCategoryPicker({
+    categories,
+    current,
+    allowOneOff: true,
+    onChoose: (chosen, { oneOff = false } = {}) => {
+      const txn = CURRENT_TXNS && CURRENT_TXNS[idx];
+      if (!txn) return;
+
+      if (chosen) {
+        const ch = String(chosen).trim();
+        const lo = ch.toLowerCase();
+        const isAdd = ch.startsWith('➕') || ch.startsWith('+') || lo.indexOf('add new category') !== -1;
+        
+        if (isAdd) {
+          // Close modal and use old prompt-based flow
+          try { document.getElementById('catpickerBackdrop').classList.remove('show'); } catch {}
+          return oneOff ? assignOneOffCategory(idx) : assignCategory_OLD(idx);
+        }
+      }
+      
+      const norm = (chosen === 'Uncategorised') ? '' : String(chosen).trim().toUpperCase();
+
+      // "This transaction only", or Uncategorised (which can't be a rule):
+      // pin the choice to this transaction so Recalculate doesn't undo it
+      const kw = norm && !oneOff ? deriveKeywordFromTxn(txn) : '';
+      if (!kw) {
+        setCategoryOverride(txn, norm);
+        applyRulesAndRender({keepPage: true});
+        return;
+      }
+
+      // Auto-add rule for this merchant
+      addOrUpdateRuleLine(kw, norm);
+
+      // If an earlier rule still wins for this transaction, pin the choice anyway
+      CURRENT_RULES = parseRules(document.getElementById('rulesBox').value);
+      setCategoryOverride(txn, norm);
+
+      applyRulesAndRender({keepPage: true});
+    }
+  });
+}
+
+/**
+ * Asks for a new category name and pins it to one transaction (no rule)
+ * Used when user ticks "This transaction only" and chooses "+ Add new category..."
+ * @param {number} idx - Index of transaction in CURRENT_TXNS array
+ */
+function assignOneOffCategory(idx) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn) return;
+
+  const catInput = prompt("Enter category name for this transaction:", (txn.category || "UNCATEGORISED").toUpperCase());
+  if (!catInput || !catInput.trim()) return;
+
+  setCategoryOverride(txn, catInput);
+  applyRulesAndRender({keepPage: true});
+}
+
+/**
+ * Old-style category assignment using browser prompts
+ * Used when user chooses "+ Add new category..."
+ * @param {number} idx - Index of transaction in CURRENT_TXNS array
+ */
+function assignCategory_OLD(idx) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn) return;
+  const suggestedKeyword = deriveKeywordFromTxn(txn);
+
+  // Ask user for keyword
+  const keywordInput = prompt("Enter keyword to match:", suggestedKeyword);
+  if (!keywordInput) return;
+  const keyword = keywordInput.trim().toUpperCase();
+
+  // Ask user for category
+  const defaultCat = (txn.category || "UNCATEGORISED").toUpperCase();
+  const catInput = prompt("Enter category name:", defaultCat);
+  if (!catInput) return;
+  const category = normaliseCategory(catInput);
+
+  // Add or update rule in textarea
+  const box = document.getElementById('rulesBox');
+  const lines = String(box.value || "").split(/\r?\n/);
+  let updated = false;
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = (lines[i] || "").trim();
+    if (!line || line.startsWith('#')) continue;
+    
+    const parts = line.split(/=>/i);
+    if (parts.length >= 2) {
+      const k = parts[0].trim().toUpperCase();
+      if (k === keyword) {
+        lines[i] = `${keyword} => ${category}`;
+        updated = true;
+        break;
+      }
+    }
+  }
+  
+  if (!updated) lines.push(`${keyword} => ${category}`);
+  
+  box.value = lines.join("\n");
+  
+  saveJson(LS_KEYS.RULES, box.value);
+  
+  if (typeof applyRulesAndRender === 'function') {
+    applyRulesAndRender({keepPage: true});
+  }
+}
+
+// ============================================================================
+// SECTION 14: PERSISTENCE (INDEXEDDB VIA store.js)
+// ============================================================================
+
+// Settings the old app saved in localStorage as plain text rather than JSON
+const RAW_TEXT_KEYS = [LS_KEYS.RULES, LS_KEYS.FILTER, LS_KEYS.MONTH, LS_KEYS.TXNS_COLLAPSED];
+
+// Older key transactions were also saved under (read once when migrating)
+const LEGACY_TXN_KEYS = ['spendlite_txns_json'];
+
+// Advanced mode (advanced.html) reads the transactions from localStorage,
+// so a copy is written under these keys each time it is opened
+const ADVANCED_MODE_TXN_KEYS = [LS_KEYS.TXNS_JSON, ...LEGACY_TXN_KEYS];
+
+/**
+ * Opens the store and reads all saved data into memory
+ * The first time, this copies everything across from localStorage
+ * @returns {Promise<string>} 'indexeddb' or 'localStorage' (which one is in use)
+ */
+function openStore() {
+  SL_Store.onError(showStorageError);
+  return SL_Store.open({
+    keys: Object.values(LS_KEYS),
+    txnsKey: LS_KEYS.TXNS_JSON,
+    rawKeys: RAW_TEXT_KEYS,
+    legacyTxnKeys: LEGACY_TXN_KEYS,
+    prepareTxns: txns => {
+      normaliseTxnDates(txns);
+      assignTxnIds(txns);
+      return txns;
+    }
+  });
+}
+
+/**
+ * Reads a saved value
+ * @param {string} key - Storage key (from LS_KEYS)
+ * @param {*} fallback - Value to return if nothing is saved
+ * @returns {*} The saved value or the fallback
+ */
+function loadJson(key, fallback) {
+  return SL_Store.get(key, fallback);
+}
+
+/**
+ * Saves a value (failures show the storage error banner)
+ * @param {string} key - Storage key (from LS_KEYS)
+ * @param {*} value - Value to save
+ */
+function saveJson(key, value) {
+  SL_Store.set(key, value);
+}
+
+/**
+ * Saves current transactions
+ * Only the transactions that were added, changed or removed are written
+ */
+function saveTxnsToStore() {
+  SL_Store.saveTxns(CURRENT_TXNS || []);
+}
+
+/**
+ * Removes the localStorage copy of the transactions made for Advanced mode
+ * (the vault must leave no unencrypted copy behind). With the localStorage
+ * fallback the main key is the store's own save, so that one stays
+ */
+function removeAdvancedModeCopy() {
+  const keys = SL_Store.backend() === 'localStorage' ? LEGACY_TXN_KEYS : ADVANCED_MODE_TXN_KEYS;
+  try {
+    keys.forEach(key => localStorage.removeItem(key));
+  } catch {}
+}
+
+/**
+ * "Advanced →" link: writes the copy of the transactions Advanced mode reads,
+ * just before it opens. Stays on this page if that isn't possible
+ * @param {Event} e - Click event on the link
+ */
+function openAdvancedMode(e) {
+  if (SL_Store.vaultState() !== 'off') {
+    e.preventDefault();
+    showSaveStatus('✕ Advanced mode can\'t read encrypted data - turn the vault off to use it', 'error');
+    return;
+  }
+
+  try {
+    const data = JSON.stringify(CURRENT_TXNS || []);
+    ADVANCED_MODE_TXN_KEYS.forEach(key => localStorage.setItem(key, data));
+  } catch {
+    // Usually browser storage is full; an old copy would show out-of-date figures
+    e.preventDefault();
+    removeAdvancedModeCopy();
+    showStorageError('Could not pass your transactions to Advanced mode (browser storage may be full)',
+      'Your data here is safe; free up some space to open Advanced mode.');
+  }
+}
+
+/**
+ * Restores saved transactions
+ * Older saves have no ids or ISO dates, so those are filled in on the way in
+ * @returns {Array} Saved transactions (empty if none)
+ */
+function loadTxnsFromStore() {
+  const txns = SL_Store.getTxns();
+  if (!Array.isArray(txns)) return [];
+
+  normaliseTxnDates(txns);
+  assignTxnIds(txns);
+  return txns;
+}
+
+// ============================================================================
+// SECTION 14A: DATA VAULT (PASSPHRASE ENCRYPTION AND AUTO-LOCK)
+// ============================================================================
+// The encryption itself happens in store.js; this section is the app's side:
+// the unlock screen, the vault buttons and locking after a while without use
+
+const VAULT_AUTO_LOCK_DEFAULT = 15;   // Minutes idle before locking (0 = never)
+let LAST_ACTIVITY = Date.now();       // When the user last clicked, typed or scrolled
+const UNSAVED_FORMS = new Set();      // Settings forms edited but not saved yet ('profile', 'payCycle')
+
+/**
+ * Shows the unlock screen and waits for the right passphrase
+ * @returns {Promise} Resolves once the vault is unlocked
+ */
+function unlockVault() {
+  return new Promise(resolve => {
+    SL_Vault.openVaultDialog({
+      mode: 'unlock',
+      onSubmit: async ({current}) => {
+        if (!(await SL_Store.unlock(current))) return 'Wrong passphrase.';
+        resolve();
+        return null;
+      },
+      onWipe: wipeAllData
+    });
+  });
+}
+
+/**
+ * Locks the vault
+ * Saves first, then reloads the page - the surest way to clear every
+ * decrypted transaction from memory. The unlock screen shows on reload
+ */
+function lockVault() {
+  if (SL_Store.vaultState() !== 'unlocked') return;
+
+  saveJson(LS_KEYS.RULES, document.getElementById('rulesBox').value);
+  saveTxnsToStore();
+  SL_Store.flush().then(() => location.reload());
+}
+
+/**
+ * Checks whether locking now would throw away something half done:
+ * an open import wizard or category picker, or a settings form with unsaved edits
+ * @returns {boolean} True if auto-lock should wait
+ */
+function lockWouldLoseWork() {
+  return UNSAVED_FORMS.size > 0 ||
+    !!document.querySelector('.impwiz-backdrop.show, .catpicker-backdrop.show');
+}
+
+/**
+ * Reads the idle minutes before the vault locks
+ * @returns {number} Minutes (0 = never)
+ */
+function vaultAutoLockMinutes() {
+  const saved = Number(loadJson(LS_KEYS.VAULT_AUTO_LOCK, VAULT_AUTO_LOCK_DEFAULT));
+  return Number.isFinite(saved) && saved >= 0 ? saved : VAULT_AUTO_LOCK_DEFAULT;
+}
+
+/**
+ * Records that the user did something (resets the auto-lock timer)
+ */
+function noteActivity() {
+  LAST_ACTIVITY = Date.now();
+}
+
+/**
+ * Locks the vault if it has been idle for too long
+ * Called every 30 seconds by a timer
+ */
+function checkAutoLock() {
+  const minutes = vaultAutoLockMinutes();
+  if (!minutes || SL_Store.vaultState() !== 'unlocked' || lockWouldLoseWork()) return;
+
+  if (Date.now() - LAST_ACTIVITY >= minutes * 60000) lockVault();
+}
+
+/**
+ * Turns the vault on (asks for a new passphrase)
+ */
+function enableVault() {
+  SL_Vault.openVaultDialog({
+    mode: 'enable',
+    onSubmit: async ({next}) => {
+      await SL_Store.setPassphrase(next);
+      await SL_Store.flush();
+      removeAdvancedModeCopy();
+      renderVaultStatus();
+      showSaveStatus('✓ Vault turned on - your data is now encrypted', 'success');
+      return null;
+    }
+  });
+}
+
+/**
+ * Changes the vault passphrase (asks for the current one first)
+ */
+function changeVaultPassphrase() {
+  SL_Vault.openVaultDialog({
+    mode: 'change',
+    onSubmit: async ({current, next}) => {
+      if (!(await SL_Store.checkPassphrase(current))) return 'Wrong passphrase.';
+      await SL_Store.setPassphrase(next);
+      await SL_Store.flush();
+      showSaveStatus('✓ Passphrase changed', 'success');
+      return null;
+    }
+  });
+}
+
+/**
+ * Turns the vault off (asks for the passphrase first)
+ */
+function disableVault() {
+  SL_Vault.openVaultDialog({
+    mode: 'disable',
+    onSubmit: async ({current}) => {
+      if (!(await SL_Store.checkPassphrase(current))) return 'Wrong passphrase.';
+      await SL_Store.disableVault();
+      await SL_Store.flush();
+      renderVaultStatus();
+      showSaveStatus('ℹ Vault turned off - your data is saved unencrypted', 'info');
+      return null;
+    }
+  });
+}
+
+/**
+ * Deletes everything saved in this browser, then starts afresh
+ * Also reachable from the unlock screen, for a forgotten passphrase
+ */
+async function wipeAllData() {
+  const ok = confirm('Delete ALL saved transactions, rules and settings from this browser?\n\nThis cannot be undone.');
+  if (!ok) return;
+
+  await SL_Store.wipe();
+  location.reload();
+}
+
+/**
+ * Updates the vault card: status text and which buttons make sense
+ */
+function renderVaultStatus() {
+  const state = SL_Store.vaultState();
+  const supported = SL_Store.vaultSupported();
+  const status = document.getElementById('vaultStatus');
+
+  if (state === 'unlocked') {
+    status.textContent = '🔒 On - your data is encrypted in this browser.';
+  } else if (supported) {
+    status.textContent = 'Off - your data is saved unencrypted in this browser.';
+  } else {
+    status.textContent = 'Not available - the vault needs IndexedDB and WebCrypto (open SpendLite over https or from localhost).';
+  }
+
+  const show = (id, visible) => { document.getElementById(id).style.display = visible ? '' : 'none'; };
+  show('vaultEnableBtn', state === 'off' && supported);
+  show('vaultLockBtn', state === 'unlocked');
+  show('vaultChangeBtn', state === 'unlocked');
+  show('vaultDisableBtn', state === 'unlocked');
+
+  document.getElementById('vaultAutoLock').value = String(vaultAutoLockMinutes());
+  document.getElementById('vaultAutoLock').disabled = state !== 'unlocked';
+}
+
+// ============================================================================
+// SECTION 14B: FULL BACKUP AND RESTORE
+// ============================================================================
+// A backup is one JSON file holding the transactions, the rules and every
+// setting. Restoring checks the file, shows what would change, then either
+// replaces the current data or merges the backup into it
+
+const BACKUP_FORMAT = 'spendlite-backup';   // Marks the file as ours
+const BACKUP_VERSION = 1;                   // Bump when the file layout changes
+
+// Storage keys that aren't plain settings (saved in their own part of the backup)
+const BACKUP_OWN_PARTS = ['RULES', 'TXNS_JSON'];
+
+// Friendly names for the restore preview (settings not listed show their key name)
+const SETTING_LABELS = {
+  FILTER: 'Category filter',
+  MONTH: 'Period filter',
+  TXNS_COLLAPSED: 'Show/hide transactions',
+  PROFILES: 'Import profiles',
+  PROFILE: 'Selected import profile',
+  IMPORT_MODE: 'Import mode',
+  OVERRIDES: 'Hand-picked categories',
+  SPLITS: 'Split transactions',
+  CATS_COLLAPSED: 'Collapsed categories',
+  TRANSFER_DISMISSED: '"Not a transfer" choices',
+  INCLUDE_TRANSFERS: 'Include transfers in totals',
+  ACCOUNT: 'Import account name',
+  ACCOUNT_FILTER: 'Account filter',
+  VAULT_AUTO_LOCK: 'Vault auto-lock time',
+  EXPORT_OPTIONS: 'Transaction export columns',
+  PAY_CYCLE: 'Pay cycle',
+  SEARCH: 'Transaction search',
+  SAVED_VIEWS: 'Saved views'
+};
+
+// What each setting must look like to be restored (null always means "not set")
+// A value that fails its check is left out, so it can't break the app after the
+// rest of the backup has been written. Settings not listed here aren't checked
+const isText = v => typeof v === 'string';
+const isMap = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const SETTING_CHECKS = {
+  FILTER: isText,
+  MONTH: isText,
+  TXNS_COLLAPSED: v => typeof v === 'boolean' || isText(v),
+  PROFILES: v => Array.isArray(v) && v.every(p => isMap(p) && isText(p.id) && isText(p.name) && isMap(p.columns)),
+  PROFILE: isText,
+  IMPORT_MODE: v => v === 'replace' || v === 'append',
+  OVERRIDES: v => isMap(v) && Object.values(v).every(isText),
+  SPLITS: v => isMap(v) && Object.values(v).every(parts => Array.isArray(parts) &&
+    parts.every(p => isMap(p) && Number.isFinite(p.amount) && isText(p.category))),
+  CATS_COLLAPSED: v => Array.isArray(v) && v.every(isText),
+  TRANSFER_DISMISSED: isMap,
+  INCLUDE_TRANSFERS: v => typeof v === 'boolean',
+  ACCOUNT: isText,
+  ACCOUNT_FILTER: isText,
+  VAULT_AUTO_LOCK: v => Number.isFinite(v) && v >= 0,
+  EXPORT_OPTIONS: isMap,
+  PAY_CYCLE: isValidPayCycle,
+  SEARCH: isText,
+  SAVED_VIEWS: v => Array.isArray(v) && v.every(x => isMap(x) && isText(x.id) && isText(x.name) && isText(x.query))
+};
+
+let PENDING_RESTORE = null;   // Backup read from a file, waiting for Replace / Merge
+
+/**
+ * Lists the settings that go into a backup, by LS_KEYS name
+ * New LS_KEYS entries are included automatically
+ * @returns {Array} Names such as 'FILTER', 'OVERRIDES'
+ */
+function backupSettingNames() {
+  return Object.keys(LS_KEYS).filter(name => !BACKUP_OWN_PARTS.includes(name));
+}
+
+/**
+ * Builds the backup object
+ * Settings are stored by LS_KEYS name (not the storage key), so a backup still
+ * restores after a key is renamed. The vault passphrase is never included
+ * @returns {Object} Backup ready to be saved as JSON
+ */
+function buildBackup() {
+  const transactions = CURRENT_TXNS.map(t => {
+    const copy = { ...t };
+    delete copy.category;   // Worked out again from the rules on restore
+    return copy;
+  });
+
+  const settings = {};
+  for (const name of backupSettingNames()) {
+    const value = loadJson(LS_KEYS[name], undefined);
+    if (value !== undefined) settings[name] = value;
+  }
+
+  const dates = transactions.map(t => t.iso).filter(Boolean).sort();
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    meta: {
+      createdAt: new Date().toISOString(),
+      app: document.title || 'SpendLite',
+      transactions: transactions.length,
+      from: dates[0] || null,
+      to: dates[dates.length - 1] || null,
+      accounts: listAccounts()
+    },
+    transactions,
+    rules: document.getElementById('rulesBox').value || '',
+    settings
+  };
+}
+
+/**
+ * Downloads a full backup file
+ */
+function exportBackup() {
+  const backup = buildBackup();
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `spendlite_backup_${backup.meta.createdAt.slice(0, 10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  const warning = SL_Store.vaultState() === 'unlocked' ? ' (the file is not encrypted - keep it somewhere safe)' : '';
+  showSaveStatus(`✓ Backup saved: ${backup.meta.transactions} transactions${warning}`, 'success');
+}
+
+/**
+ * Checks a parsed backup file
+ * @param {*} data - Parsed JSON
+ * @returns {Object} {backup, errors} - backup is null when there are errors
+ */
+function validateBackup(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    return { backup: null, errors: ["This isn't a SpendLite backup file."] };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    errors.push('The backup has no valid format version.');
+  } else if (data.version > BACKUP_VERSION) {
+    errors.push(`The backup was made by a newer version of SpendLite (format ${data.version}); this version reads format ${BACKUP_VERSION}.`);
+  }
+
+  if (!Array.isArray(data.transactions)) {
+    errors.push('The backup has no transaction list.');
+  } else {
+    const bad = data.transactions.filter(t =>
+      !t || typeof t !== 'object' ||
+      !Number.isFinite(Number(t.amount)) ||
+      typeof t.description !== 'string' ||
+      !(t.date || t.iso));
+    if (bad.length) errors.push(`${bad.length} transaction(s) are missing a date, amount or description.`);
+  }
+
+  if (data.rules !== undefined && typeof data.rules !== 'string') {
+    errors.push('The rules in the backup are not text.');
+  }
+  if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+    errors.push('The settings in the backup are not readable.');
+  }
+
+  if (errors.length) return { backup: null, errors };
+
+  // Keep only the settings that look right; the others are listed in the preview
+  const settings = {};
+  const skipped = [];
+  for (const [name, value] of Object.entries(data.settings || {})) {
+    const check = SETTING_CHECKS[name];
+    if (value === null || !check || check(value)) settings[name] = value;
+    else skipped.push(SETTING_LABELS[name] || name);
+  }
+
+  return {
+    backup: {
+      meta: cleanBackupMeta(data.meta),
+      transactions: data.transactions.map(t => ({ ...t, amount: Number(t.amount) })),
+      rules: upgradeRulesText(data.rules || ''),
+      settings,
+      skipped
+    },
+    errors
+  };
+}
+
+/**
+ * Keeps the backup's description fields (shown in the restore preview) that
+ * look right, and leaves out the rest
+ * @param {*} meta - The backup's "meta" value
+ * @returns {Object} Object with any of {createdAt, from, to, accounts}
+ */
+function cleanBackupMeta(meta) {
+  const clean = {};
+  if (!isMap(meta)) return clean;
+
+  if (isText(meta.createdAt) && !isNaN(new Date(meta.createdAt))) clean.createdAt = meta.createdAt;
+  if (isText(meta.from) && isText(meta.to)) {
+    clean.from = meta.from;
+    clean.to = meta.to;
+  }
+  if (Array.isArray(meta.accounts) && meta.accounts.every(isText)) clean.accounts = meta.accounts;
+  return clean;
+}
+
+/**
+ * Prepares backup transactions for loading (dates and ids filled in)
+ * @param {Object} backup - Validated backup
+ * @returns {Array} Fresh copies of the backup's transactions
+ */
+function backupTxns(backup) {
+  const txns = backup.transactions.map(t => {
+    const copy = { ...t };
+    delete copy.category;
+    return copy;
+  });
+  normaliseTxnDates(txns);
+  assignTxnIds(txns);
+  return txns;
+}
+
+/**
+ * Combines a current setting with the one from a backup (for Merge)
+ * Current values win; the backup only fills gaps
+ * - Lists: current items plus backup items not already there (profiles matched by id)
+ * - Maps (e.g. hand-picked categories): backup entries for ids not set here
+ * - Single values: kept unless currently empty
+ * @param {*} current - Current value (undefined if not set)
+ * @param {*} incoming - Value from the backup
+ * @returns {*} Merged value
+ */
+function mergeSetting(current, incoming) {
+  if (current === undefined || current === null || current === '') return incoming;
+
+  if (Array.isArray(current) && Array.isArray(incoming)) {
+    const keyOf = x => (x && typeof x === 'object' && x.id) ? `id:${x.id}` : JSON.stringify(x);
+    const seen = new Set(current.map(keyOf));
+    return current.concat(incoming.filter(x => !seen.has(keyOf(x))));
   }
-  
-  box.value = lines.join("\n");
-  
-  // Save to localStorage
-  try { localStorage.setItem(LS_KEYS.RULES, box.value); } catch {}
-  
-  return true;
+
+  if (isMap(current) && isMap(incoming)) return { ...incoming, ...current };
+
+  return current;
 }
 
 /**
- * Opens category picker to assign a category to a transaction
- * This is called when user clicks the "+" button next to a transaction
- * @param {number} idx - Index of transaction in CURRENT_TXNS array
+ * Splits rules text into its meaningful lines (no blanks or comments)
+ * @param {string} text - Rules text
+ * @returns {Array} Trimmed lines
  */
-function assignCategory(idx) {
-  // Collect all unique categories from transactions and rules
-  const fromTxns = (Array.isArray(CURRENT_TXNS) ? CURRENT_TXNS : [])
-    .map(x => (x.category || '').trim());
-  
-  const fromRules = (Array.isArray(CURRENT_RULES) ? CURRENT_RULES : [])
-    .map(r => (r.category || '').trim ? r.category : (r.category || ''));
-  
-  const merged = Array.from(new Set([...fromTxns, ...fromRules]
-    .map(c => (c || '').trim())
-    .filter(Boolean)));
+function ruleLines(text) {
+  return String(text || '').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+}
 
-  // Build category list
-  let base = Array.from(new Set(merged));
-  
-  // Normalize "UNCATEGORISED" variations
-  base = base.map(c => (c.toUpperCase() === 'UNCATEGORISED' ? 'Uncategorised' : c));
-  
-  if (!base.includes('Uncategorised')) base.unshift('Uncategorised');
-  base.unshift('+ Add new category...');
+/**
+ * Adds the backup's rule lines that aren't already in the current rules
+ * @param {string} current - Current rules text
+ * @param {string} incoming - Rules text from the backup
+ * @returns {string} Merged rules text
+ */
+function mergeRulesText(current, incoming) {
+  const have = new Set(ruleLines(current));
+  const extra = ruleLines(incoming).filter(l => !have.has(l));
+  if (!extra.length) return current;
 
-  // Sort alphabetically (except special items)
-  const specials = new Set(['+ Add new category...', 'Uncategorised']);
-  const rest = base.filter(c => !specials.has(c))
-    .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
-  
-  const categories = ['+ Add new category...', 'Uncategorised', ...rest];
+  return `${current.replace(/\s+$/, '')}\n\n# Merged from backup\n${extra.join('\n')}\n`;
+}
 
-  const current = ((CURRENT_TXNS && CURRENT_TXNS[idx] && CURRENT_TXNS[idx].category) || '').trim() || 'Uncategorised';
+/**
+ * Works out what restoring a backup would change, for both choices
+ * @param {Object} backup - Validated backup
+ * @returns {Object} {replace, merge} - each {added, removed, rulesAdded, rulesRemoved, settings}
+ */
+function diffBackup(backup) {
+  const incoming = backupTxns(backup);
+  const currentIds = new Set(CURRENT_TXNS.map(t => t.id));
+  const incomingIds = new Set(incoming.map(t => t.id));
 
-  // Open the category picker modal (defined in catpicker-modal.js)
-  SL_CatPicker.openCategoryPicker({
-    categories,
-    current,
-    onChoose: (chosen) => {
-      if (chosen) {
-        const ch = String(chosen).trim();
-        const lo = ch.toLowerCase();
-        const isAdd = ch.startsWith('➕') || ch.startsWith('+') || lo.indexOf('add new category') !== -1;
-        
-        if (isAdd) {
-          // Close modal and use old prompt-based flow
-          try { document.getElementById('catpickerBackdrop').classList.remove('show'); } catch {}
-          return assignCategory_OLD(idx);
-        }
-      }
-      
-      const norm = (chosen === 'Uncategorised') ? '' : String(chosen).trim().toUpperCase();
-      
-      if (CURRENT_TXNS && CURRENT_TXNS[idx]) {
-        CURRENT_TXNS[idx].category = norm;
-      }
-      
-      // Auto-add rule for this merchant
-      try {
-        if (norm) {
-          const kw = deriveKeywordFromTxn(CURRENT_TXNS[idx]);
-          
-          if (kw) {
-            const added = addOrUpdateRuleLine(kw, norm);
-            
-            if (added && typeof applyRulesAndRender === 'function') {
-              applyRulesAndRender({keepPage: true});
-            } else {
-              renderMonthTotals();
-              renderTransactionsTable();
-            }
-          } else {
-            renderMonthTotals();
-            renderTransactionsTable();
-          }
-        } else {
-          renderMonthTotals();
-          renderTransactionsTable();
-        }
-      } catch (e) {
-        try {
-          renderMonthTotals();
-          renderTransactionsTable();
-        } catch {}
-      }
+  const nowRules = new Set(ruleLines(document.getElementById('rulesBox').value));
+  const backupRules = new Set(ruleLines(backup.rules));
+  const newRules = [...backupRules].filter(l => !nowRules.has(l));
+
+  // Settings whose value would be different afterwards
+  const changedSettings = (combine) => Object.keys(backup.settings)
+    .filter(name => LS_KEYS[name])
+    .filter(name => {
+      const now = loadJson(LS_KEYS[name], undefined);
+      return JSON.stringify(combine(now, backup.settings[name])) !== JSON.stringify(now);
+    })
+    .map(name => SETTING_LABELS[name] || name);
+
+  return {
+    replace: {
+      added: incoming.filter(t => !currentIds.has(t.id)).length,
+      removed: CURRENT_TXNS.filter(t => !incomingIds.has(t.id)).length,
+      rulesAdded: newRules.length,
+      rulesRemoved: [...nowRules].filter(l => !backupRules.has(l)).length,
+      settings: changedSettings((now, value) => value)
+    },
+    merge: {
+      added: mergeTxns(CURRENT_TXNS, incoming).added.length,
+      removed: 0,
+      rulesAdded: newRules.length,
+      rulesRemoved: 0,
+      settings: changedSettings(mergeSetting)
     }
-  });
+  };
 }
 
 /**
- * Old-style category assignment using browser prompts
- * Used when user chooses "+ Add new category..."
- * @param {number} idx - Index of transaction in CURRENT_TXNS array
+ * Reads a backup file and shows the restore preview
+ * @param {File} file - The backup file
  */
-function assignCategory_OLD(idx) {
-  const txn = CURRENT_TXNS[idx];
-  if (!txn) return;
-  const suggestedKeyword = deriveKeywordFromTxn(txn);
+function readBackupFile(file) {
+  const reader = new FileReader();
 
-  // Ask user for keyword
-  const keywordInput = prompt("Enter keyword to match:", suggestedKeyword);
-  if (!keywordInput) return;
-  const keyword = keywordInput.trim().toUpperCase();
+  reader.onload = () => {
+    let data = null;
+    try {
+      data = JSON.parse(reader.result || '');
+    } catch {}
 
-  // Ask user for category
-  const defaultCat = (txn.category || "UNCATEGORISED").toUpperCase();
-  const catInput = prompt("Enter category name:", defaultCat);
-  if (!catInput) return;
-  const category = catInput.trim().toUpperCase();
+    const { backup, errors } = data === null
+      ? { backup: null, errors: ["The file isn't valid JSON, so it can't be a SpendLite backup."] }
+      : validateBackup(data);
 
-  // Add or update rule in textarea
-  const box = document.getElementById('rulesBox');
-  const lines = String(box.value || "").split(/\r?\n/);
-  let updated = false;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = (lines[i] || "").trim();
-    if (!line || line.startsWith('#')) continue;
-    
-    const parts = line.split(/=>/i);
-    if (parts.length >= 2) {
-      const k = parts[0].trim().toUpperCase();
-      if (k === keyword) {
-        lines[i] = `${keyword} => ${category}`;
-        updated = true;
-        break;
-      }
-    }
-  }
-  
-  if (!updated) lines.push(`${keyword} => ${category}`);
-  
-  box.value = lines.join("\n");
-  
-  try { localStorage.setItem(LS_KEYS.RULES, box.value); } catch {}
-  
-  if (typeof applyRulesAndRender === 'function') {
-    applyRulesAndRender({keepPage: true});
-  }
+    PENDING_RESTORE = backup;
+    renderRestorePreview(backup, errors, file.name);
+  };
+
+  reader.readAsText(file);
 }
 
-// ============================================================================
-// SECTION 14: LOCAL STORAGE PERSISTENCE
-// ============================================================================
+/**
+ * Shows what a restore would change, with Replace / Merge / Cancel buttons
+ * (or why the file can't be restored)
+ * @param {Object|null} backup - Validated backup, or null if it failed
+ * @param {Array} errors - Problems found in the file
+ * @param {string} fileName - Name of the chosen file
+ */
+function renderRestorePreview(backup, errors, fileName) {
+  const el = document.getElementById('restorePreview');
+
+  if (!backup) {
+    el.innerHTML = `<p><strong>${escapeHtml(fileName)}</strong> can't be restored:</p>` +
+      `<ul>${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>` +
+      `<div class="btn-row"><button class="secondary small" data-restore="cancel">Close</button></div>`;
+  } else {
+    const meta = backup.meta;
+    const made = meta.createdAt ? new Date(meta.createdAt).toLocaleString() : 'an unknown date';
+    const range = meta.from ? ` (${escapeHtml(meta.from)} to ${escapeHtml(meta.to)})` : '';
+    const accounts = meta.accounts && meta.accounts.length ? ` · accounts: ${escapeHtml(meta.accounts.join(', '))}` : '';
+    const diff = diffBackup(backup);
+
+    const summary = (d) => {
+      const items = [
+        `Transactions: ${d.added} added, ${d.removed} removed`,
+        `Rules: ${d.rulesAdded} line(s) added, ${d.rulesRemoved} removed`,
+        d.settings.length ? `Settings changed: ${escapeHtml(d.settings.join(', '))}` : 'Settings: no changes'
+      ];
+      return `<ul>${items.map(i => `<li>${i}</li>`).join('')}</ul>`;
+    };
+
+    el.innerHTML =
+      `<p><strong>${escapeHtml(fileName)}</strong>: backup from ${escapeHtml(made)} with ` +
+      `${backup.transactions.length} transactions${range}${accounts}.</p>` +
+      (backup.skipped.length ? `<p class="muted">Settings left out (not readable): ${escapeHtml(backup.skipped.join(', '))}</p>` : '') +
+      `<div class="restore-choice"><p><strong>Replace</strong> - your transactions and rules become exactly the backup, and the settings it holds replace yours (settings it doesn't have are kept):</p>${summary(diff.replace)}</div>` +
+      `<div class="restore-choice"><p><strong>Merge</strong> - keep your data and add what's missing from the backup:</p>${summary(diff.merge)}</div>` +
+      `<div class="btn-row">` +
+        `<button data-restore="replace">Replace my data</button>` +
+        `<button class="secondary" data-restore="merge">Merge into my data</button>` +
+        `<button class="secondary" data-restore="cancel">Cancel</button>` +
+      `</div>`;
+  }
+
+  el.querySelectorAll('button[data-restore]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const choice = btn.getAttribute('data-restore');
+      if (choice === 'cancel') {
+        PENDING_RESTORE = null;
+        el.style.display = 'none';
+        return;
+      }
+      restoreBackup(PENDING_RESTORE, choice);
+    });
+  });
+
+  el.style.display = '';
+}
 
 /**
- * Saves current transactions to localStorage
- * This ensures data persists even if you close the browser
+ * Restores a backup, replacing or merging into the current data
+ * @param {Object} backup - Validated backup
+ * @param {string} mode - 'replace' or 'merge'
  */
-function saveTxnsToLocalStorage() {
-  try {
-    const data = JSON.stringify(CURRENT_TXNS || []);
-    
-    // Save to multiple keys for compatibility with Advanced mode
-    localStorage.setItem(LS_KEYS.TXNS_JSON, data);
-    localStorage.setItem('spendlite_txns_json_v7', data);
-    localStorage.setItem('spendlite_txns_json', data);
-  } catch {}
+function restoreBackup(backup, mode) {
+  if (!backup) return;
+  const incoming = backupTxns(backup);
+  const box = document.getElementById('rulesBox');
+
+  if (mode === 'replace') {
+    if (!confirm('Replace all your transactions, rules and settings with the backup?')) return;
+    CURRENT_TXNS = incoming;
+    box.value = backup.rules;
+  } else {
+    CURRENT_TXNS = CURRENT_TXNS.concat(mergeTxns(CURRENT_TXNS, incoming).added);
+    box.value = mergeRulesText(box.value, backup.rules);
+  }
+  assignTxnIds(CURRENT_TXNS);
+  saveTxnsToStore();
+  saveJson(LS_KEYS.RULES, box.value);
+
+  // Settings missing from the backup (e.g. from an older version) are left alone
+  for (const [name, value] of Object.entries(backup.settings)) {
+    if (!LS_KEYS[name]) continue;
+    const now = loadJson(LS_KEYS[name], undefined);
+    saveJson(LS_KEYS[name], mode === 'replace' ? value : mergeSetting(now, value));
+  }
+
+  // Read the settings back into the app and redraw everything
+  restoreSavedSettings();
+  PENDING_RESTORE = null;
+  document.getElementById('restorePreview').style.display = 'none';
+
+  rebuildProfileDropdowns();
+  applyTxnsCollapsedUI();
+  renderVaultStatus();
+  updateFilterUI();
+  rebuildPeriodDropdown();
+  rebuildAccountDropdown();
+  CURRENT_PAGE = 1;
+  applyRulesAndRender();
+
+  showSaveStatus(mode === 'replace' ? '✓ Backup restored' : '✓ Backup merged into your data', 'success');
 }
 
 // ============================================================================
@@ -1149,11 +5614,9 @@ function saveTxnsToLocalStorage() {
  * @returns {boolean} True if collapsed
  */
 function isTxnsCollapsed() {
-  try {
-    return localStorage.getItem(LS_KEYS.TXNS_COLLAPSED) !== 'false';
-  } catch {
-    return true;  // Default to collapsed
-  }
+  // Older saves hold the text 'true'/'false'; default to collapsed
+  const saved = loadJson(LS_KEYS.TXNS_COLLAPSED, true);
+  return saved !== false && saved !== 'false';
 }
 
 /**
@@ -1161,9 +5624,7 @@ function isTxnsCollapsed() {
  * @param {boolean} v - True to collapse, false to expand
  */
 function setTxnsCollapsed(v) {
-  try {
-    localStorage.setItem(LS_KEYS.TXNS_COLLAPSED, v ? 'true' : 'false');
-  } catch {}
+  saveJson(LS_KEYS.TXNS_COLLAPSED, !!v);
 }
 
 /**
@@ -1192,23 +5653,99 @@ function toggleTransactions() {
 // SECTION 16: EVENT LISTENERS (UI INTERACTIONS)
 // ============================================================================
 
-// CSV file upload
+// Statement file upload (one or several CSV, OFX, QFX or QIF files)
 document.getElementById('csvFile').addEventListener('change', (e) => {
-  const file = e.target.files?.[0];
-  if (!file) return;
-  
-  const reader = new FileReader();
-  reader.onload = () => { loadCsvText(reader.result); };
-  reader.readAsText(file);
+  importFiles(e.target.files);
+
+  // Reset so choosing the same file again still triggers an import
+  e.target.value = '';
 });
 
+// Drag and drop files onto the Load Transactions card
+const loadCard = document.getElementById('loadCard');
+loadCard.addEventListener('dragover', (e) => {
+  e.preventDefault();  // Required to allow dropping
+  loadCard.classList.add('dragover');
+});
+loadCard.addEventListener('dragleave', (e) => {
+  if (!loadCard.contains(e.relatedTarget)) loadCard.classList.remove('dragover');
+});
+loadCard.addEventListener('drop', (e) => {
+  e.preventDefault();  // Stop the browser opening the file
+  loadCard.classList.remove('dragover');
+  importFiles(e.dataTransfer.files);
+});
+
+// Import mode (replace or append) - remember the choice for next time
+document.getElementById('importMode').addEventListener('change', (e) => {
+  saveJson(LS_KEYS.IMPORT_MODE, e.target.value);
+});
+
+// Import profile picker - remember the choice for next time
+document.getElementById('importProfile').addEventListener('change', (e) => {
+  saveJson(LS_KEYS.PROFILE, e.target.value || '');
+});
+
+// Import profile editor
+document.getElementById('profileEditSelect').addEventListener('change', (e) => {
+  fillProfileForm(findImportProfile(e.target.value));
+});
+document.getElementById('profileAmountMode').addEventListener('change', updateProfileFormFields);
+document.getElementById('saveProfileBtn').addEventListener('click', saveProfileFromForm);
+document.getElementById('payCycleLength').addEventListener('change', updatePayCycleFields);
+document.getElementById('savePayCycleBtn').addEventListener('click', savePayCycleFromForm);
+document.getElementById('deleteProfileBtn').addEventListener('click', deleteProfileFromForm);
+
+// Remember half-finished settings edits, so auto-lock doesn't throw them away
+document.querySelector('#profilesDetails .profile-form').addEventListener('input', () => UNSAVED_FORMS.add('profile'));
+document.querySelector('#payCycleDetails .profile-form').addEventListener('input', () => UNSAVED_FORMS.add('payCycle'));
+
 // Recalculate button
 document.getElementById('recalculateBtn').addEventListener('click', applyRulesAndRender);
 
+// Rule diagnostics button
+document.getElementById('ruleDiagBtn').addEventListener('click', renderRuleDiagnostics);
+
+// Transfers - include them in the totals, and review them when the section is opened
+document.getElementById('includeTransfers').addEventListener('change', (e) => {
+  INCLUDE_TRANSFERS = e.target.checked;
+  saveJson(LS_KEYS.INCLUDE_TRANSFERS, INCLUDE_TRANSFERS);
+  applyRulesAndRender({keepPage: true});
+});
+document.getElementById('transfersDetails').addEventListener('toggle', (e) => {
+  if (e.target.open) renderTransfers();
+});
+
+// Spending charts - drawn when opened
+document.getElementById('chartsDetails').addEventListener('toggle', (e) => {
+  if (e.target.open) renderCharts();
+});
+
+// Month-by-month comparison - built when opened
+document.getElementById('monthMatrixDetails').addEventListener('toggle', (e) => {
+  if (e.target.open) renderMonthMatrix();
+});
+
+// Recurring payments - worked out when the section is opened
+document.getElementById('recurringDetails').addEventListener('toggle', (e) => {
+  if (e.target.open) renderRecurring();
+});
+
 // Export buttons
 document.getElementById('exportRulesBtn').addEventListener('click', exportRules);
 document.getElementById('exportTotalsBtn').addEventListener('click', exportTotals);
 
+// Transaction export: options are drawn when opened, format is saved when changed
+document.getElementById('txnExportDetails').addEventListener('toggle', (e) => {
+  if (e.target.open) renderExportColumns();
+});
+document.getElementById('txnExportFormat').addEventListener('change', (e) => {
+  const opts = loadExportOptions();
+  opts.format = e.target.value;
+  saveJson(LS_KEYS.EXPORT_OPTIONS, opts);
+});
+document.getElementById('txnExportBtn').addEventListener('click', exportTransactions);
+
 // Import rules button
 document.getElementById('importRulesBtn').addEventListener('click', () => 
   document.getElementById('importRulesInput').click()
@@ -1221,56 +5758,138 @@ document.getElementById('importRulesInput').addEventListener('change', (e) => {
 
 // Clear filter button
 document.getElementById('clearFilterBtn').addEventListener('click', () => {
-  CURRENT_FILTER = null;
-  try { localStorage.removeItem(LS_KEYS.FILTER); } catch {}
-  
-  updateFilterUI();
-  CURRENT_PAGE = 1;
-  renderTransactionsTable();
-  renderMonthTotals(monthFilteredTxns());
+  setCategoryFilter(null);
+  renderMonthTotals(periodFilteredTxns());
 });
 
-// Clear month filter button
-document.getElementById('clearMonthBtn').addEventListener('click', () => {
-  MONTH_FILTER = "";
-  try { localStorage.removeItem(LS_KEYS.MONTH); } catch {}
-  
-  document.getElementById('monthFilter').value = "";
-  updateMonthBanner();
-  CURRENT_PAGE = 1;
-  applyRulesAndRender();
+// Search box - narrows the table as you type
+document.getElementById('txnSearch').addEventListener('input', (e) => {
+  setSearchQuery(e.target.value);
 });
 
-// Month filter dropdown
-document.getElementById('monthFilter').addEventListener('change', (e) => {
-  MONTH_FILTER = e.target.value || "";
-  try { localStorage.setItem(LS_KEYS.MONTH, MONTH_FILTER); } catch {}
+// Saved views - picking one puts its query in the search box
+document.getElementById('savedViews').addEventListener('change', (e) => {
+  const view = getSavedViews().find(v => v.id === e.target.value);
+  setSearchQuery(view ? view.query : '');
+  rebuildSavedViewsDropdown(view ? view.id : '');
+});
+document.getElementById('saveViewBtn').addEventListener('click', saveCurrentView);
+document.getElementById('deleteViewBtn').addEventListener('click', deleteSavedView);
+
+// Clear period filter button
+document.getElementById('clearPeriodBtn').addEventListener('click', () => {
+  setPeriodFilter("");
+});
+
+// Backup and restore buttons
+document.getElementById('exportBackupBtn').addEventListener('click', exportBackup);
+document.getElementById('restoreBackupBtn').addEventListener('click', () => {
+  document.getElementById('restoreBackupInput').click();
+});
+document.getElementById('restoreBackupInput').addEventListener('change', (e) => {
+  const f = e.target.files && e.target.files[0];
+  if (f) readBackupFile(f);
+  e.target.value = '';   // Choosing the same file again still fires "change"
+});
+
+// Advanced mode link (hands it a copy of the transactions first)
+document.getElementById('advancedLink').addEventListener('click', openAdvancedMode);
+
+// Data vault buttons
+document.getElementById('vaultEnableBtn').addEventListener('click', enableVault);
+document.getElementById('vaultLockBtn').addEventListener('click', lockVault);
+document.getElementById('vaultChangeBtn').addEventListener('click', changeVaultPassphrase);
+document.getElementById('vaultDisableBtn').addEventListener('click', disableVault);
+document.getElementById('vaultWipeBtn').addEventListener('click', wipeAllData);
+
+// Vault auto-lock time
+document.getElementById('vaultAutoLock').addEventListener('change', (e) => {
+  saveJson(LS_KEYS.VAULT_AUTO_LOCK, Number(e.target.value) || 0);
+  noteActivity();
+});
+
+// Any click, key press or scroll counts as activity (for auto-lock)
+['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(type => {
+  document.addEventListener(type, noteActivity, { passive: true, capture: true });
+});
+setInterval(checkAutoLock, 30000);
+
+// Account filter dropdown
+document.getElementById('accountFilter').addEventListener('change', (e) => {
+  ACCOUNT_FILTER = e.target.value || "";
+  saveJson(LS_KEYS.ACCOUNT_FILTER, ACCOUNT_FILTER);
   
-  updateMonthBanner();
   CURRENT_PAGE = 1;
   applyRulesAndRender();
 });
 
+// Period filter dropdown ("Custom range…" shows the date boxes instead)
+document.getElementById('periodFilter').addEventListener('change', (e) => {
+  if (e.target.value === CUSTOM_PERIOD) {
+    showCustomPeriodInputs(true);
+    document.getElementById('periodFrom').focus();
+    return;
+  }
+  setPeriodFilter(e.target.value);
+});
+
+// Custom range Apply button
+document.getElementById('periodApplyBtn').addEventListener('click', applyCustomPeriod);
+
 // ============================================================================
 // SECTION 17: INITIALIZATION (RUNS WHEN PAGE LOADS)
 // ============================================================================
 
+/**
+ * Reads the saved filters and settings into the app's state
+ * Used at start-up and again after a backup is restored
+ */
+function restoreSavedSettings() {
+  const savedFilter = loadJson(LS_KEYS.FILTER, '');
+  CURRENT_FILTER = typeof savedFilter === 'string' && savedFilter.trim() ? savedFilter.toUpperCase() : null;
+  PERIOD_FILTER = loadJson(LS_KEYS.MONTH, '') || "";
+  ACCOUNT_FILTER = loadJson(LS_KEYS.ACCOUNT_FILTER, '') || '';
+  PAY_CYCLE = loadJson(LS_KEYS.PAY_CYCLE, null) || null;
+
+  CATEGORY_OVERRIDES = loadJson(LS_KEYS.OVERRIDES, {}) || {};
+  TXN_SPLITS = loadJson(LS_KEYS.SPLITS, {}) || {};
+  COLLAPSED_CATEGORIES = new Set(loadJson(LS_KEYS.CATS_COLLAPSED, []) || []);
+  TRANSFER_DISMISSED = loadJson(LS_KEYS.TRANSFER_DISMISSED, {}) || {};
+  INCLUDE_TRANSFERS = !!loadJson(LS_KEYS.INCLUDE_TRANSFERS, false);
+
+  document.getElementById('includeTransfers').checked = INCLUDE_TRANSFERS;
+  document.getElementById('importMode').value = loadJson(LS_KEYS.IMPORT_MODE, 'replace');
+  document.getElementById('importAccount').value = loadJson(LS_KEYS.ACCOUNT, '') || '';
+  fillPayCycleForm();
+
+  const search = loadJson(LS_KEYS.SEARCH, '');
+  CURRENT_SEARCH = { text: search || '', ...parseSearchQuery(search) };
+  document.getElementById('txnSearch').value = CURRENT_SEARCH.text;
+  document.getElementById('txnSearchError').textContent = CURRENT_SEARCH.errors.join(' · ');
+  rebuildSavedViewsDropdown();
+}
+
 /**
  * Main initialization - runs when DOM is ready
  */
 window.addEventListener('DOMContentLoaded', async () => {
-  // STEP 1: Restore rules from localStorage or load default
+  // STEP 0: Open the store (IndexedDB) - everything below reads from it
+  await openStore();
+
+  // With the vault on, nothing can be read until the passphrase is entered
+  if (SL_Store.vaultState() === 'locked') await unlockVault();
+  noteActivity();
+
+  // STEP 1: Restore saved rules or load default
   let restored = false;
   
-  try {
-    const saved = localStorage.getItem(LS_KEYS.RULES);
-    if (saved && saved.trim()) {
-      document.getElementById('rulesBox').value = saved;
-      restored = true;
-    }
-  } catch {}
+  const saved = loadJson(LS_KEYS.RULES, '');
+  if (typeof saved === 'string' && saved.trim()) {
+    document.getElementById('rulesBox').value = saved;
+    restored = true;
+  }
   
-  // Try loading from rules.txt file if not in localStorage
+  // Try loading from rules.txt file if nothing was saved
   if (!restored) {
     try {
       const res = await fetch('rules.txt');
@@ -1285,34 +5904,34 @@ window.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('rulesBox').value = SAMPLE_RULES;
   }
 
-  // STEP 2: Restore filters from localStorage
-  try {
-    const savedFilter = localStorage.getItem(LS_KEYS.FILTER);
-    CURRENT_FILTER = savedFilter && savedFilter.trim() ? savedFilter.toUpperCase() : null;
-  } catch {}
-  
-  try {
-    const savedMonth = localStorage.getItem(LS_KEYS.MONTH);
-    MONTH_FILTER = savedMonth || "";
-  } catch {}
+  // Rules from an older version are upgraded once (the saved copy too)
+  const rulesBox = document.getElementById('rulesBox');
+  const upgraded = upgradeRulesText(rulesBox.value);
+  if (upgraded !== rulesBox.value) {
+    rulesBox.value = upgraded;
+    saveJson(LS_KEYS.RULES, upgraded);
+  }
+  INITIAL_RULES = document.getElementById('rulesBox').value;
 
-  // STEP 3: Update UI
+  // STEP 2: Restore filters and settings
+  restoreSavedSettings();
+
+  // STEP 3: Restore previously imported transactions
+  CURRENT_TXNS = loadTxnsFromStore();
+
+  // STEP 4: Update UI
+  applyTxnsCollapsedUI();
+  renderVaultStatus();
+  rebuildProfileDropdowns();
   updateFilterUI();
   CURRENT_PAGE = 1;
   updateMonthBanner();
-});
-
-// Apply collapsed state on load
-document.addEventListener('DOMContentLoaded', () => {
-  applyTxnsCollapsedUI();
-  try { updateMonthBanner(); } catch {}
-});
 
-// Save transactions before leaving page (safety net)
-window.addEventListener('beforeunload', () => {
-  try {
-    localStorage.setItem(LS_KEYS.TXNS_JSON, JSON.stringify(CURRENT_TXNS || []));
-  } catch {}
+  if (CURRENT_TXNS.length) {
+    rebuildPeriodDropdown();
+    rebuildAccountDropdown();
+    applyRulesAndRender();
+  }
 });
 
 // ============================================================================
@@ -1323,12 +5942,11 @@ window.addEventListener('beforeunload', () => {
 let INITIAL_RULES = '';
 let RULES_CHANGED = false;
 
-// Store initial rules content when page loads
+// Track rule edits once the page has loaded
+// (INITIAL_RULES itself is set by the initialization, after saved rules are restored)
 window.addEventListener('load', () => {
   const rulesBox = document.getElementById('rulesBox');
   if (rulesBox) {
-    INITIAL_RULES = rulesBox.value;
-    
     // Track changes to rules textarea
     rulesBox.addEventListener('input', () => {
       RULES_CHANGED = rulesBox.value !== INITIAL_RULES;
@@ -1356,7 +5974,7 @@ function downloadRulesFile(content, filename = 'rules.txt') {
 /**
  * Shows status message to user
  * @param {string} message - Message to display
- * @param {string} type - Type of message ('success' or 'info')
+ * @param {string} type - Type of message ('success', 'info' or 'error')
  */
 function showSaveStatus(message, type = 'info') {
   const statusEl = document.getElementById('saveStatus');
@@ -1372,6 +5990,29 @@ function showSaveStatus(message, type = 'info') {
   }, 3000);
 }
 
+/**
+ * Shows the storage error banner (stays up until dismissed, unlike showSaveStatus)
+ * Called by the store whenever a save fails, e.g. when the browser is out of space
+ * @param {string} message - What went wrong
+ * @param {string} consequence - What that means for the user
+ */
+function showStorageError(message, consequence = 'Recent changes may not be kept after you close this tab.') {
+  const banner = document.getElementById('storageError');
+  if (!banner) return;
+
+  document.getElementById('storageErrorText').textContent = `⚠ ${message}. ${consequence}`;
+  banner.style.display = 'flex';
+}
+
+/**
+ * Hides the storage error banner
+ * This function is called by the onclick handler in HTML
+ */
+function hideStorageError() {
+  const banner = document.getElementById('storageError');
+  if (banner) banner.style.display = 'none';
+}
+
 /**
  * Handles close app button click
  * Saves rules if changed, shows status message
@@ -0,0 +1,700 @@
+// ============================================================================
+// STORE - Saving Data in IndexedDB (with a localStorage fallback)
+// ============================================================================
+// This module keeps everything the app saves: transactions, rules and settings.
+// It used to be localStorage only, which holds about 5 MB and fails silently
+// when full. IndexedDB holds far more and lets us save one transaction at a time.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - IndexedDB: A database built into the browser. It's asynchronous, so every
+//   read and write finishes later (we wrap its callbacks in Promises)
+// - Object store: Like a table. We have "settings" (name -> value) and
+//   "txns" (transaction id -> transaction)
+// - Cache: Everything is read into memory once at startup, so the rest of the
+//   app can read settings instantly without waiting
+// - Migration: A one-off step that upgrades saved data to the current format.
+//   Each has a version number and runs once, in order
+// - Vault: Optional encryption of everything saved, with a key made from a
+//   passphrase (PBKDF2). Each value is encrypted with AES-GCM, which also
+//   detects a wrong passphrase or tampered data
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // CONFIGURATION AND STATE
+  // ============================================================================
+
+  const DB_NAME = 'spendlite';
+  const DB_VERSION = 1;                  // Version of the object stores below
+  const SETTINGS = 'settings';           // Object store: setting name -> value
+  const TXNS = 'txns';                   // Object store: transaction id -> {seq, txn}
+  const DATA_VERSION_KEY = '__data_version';  // Setting holding the last migration run
+  const VAULT_KEY = '__vault';           // Setting holding the vault's salt and check value
+  const VAULT_ITERATIONS = 600000;       // PBKDF2 rounds - slows down passphrase guessing
+  const VAULT_CHECK = 'spendlite-vault'; // Known text, encrypted to test a passphrase
+
+  // Data migrations, run in order when the saved data is older than this list
+  const MIGRATIONS = [
+    { version: 1, run: migrateFromLocalStorage }   // Copy the old localStorage keys across
+  ];
+
+  let db = null;                   // Open IndexedDB connection (null = using localStorage)
+  let options = { keys: [], txnsKey: '', rawKeys: [], legacyTxnKeys: [], prepareTxns: list => list };
+  const settings = new Map();      // In-memory copy of every setting
+  let txns = [];                   // In-memory copy of the transactions
+  let savedTxnJson = new Map();    // id -> JSON as last saved (to spot what changed)
+  let resyncTxns = false;          // After a failed save, rewrite all transactions next time
+  let queue = Promise.resolve();   // Writes run one after another, in order
+  let errorHandler = () => {};     // Called with a message when a save fails
+  let vault = null;                // Vault settings ({salt, iterations, check}) or null when off
+  let vaultKeys = null;            // Keys made from the passphrase (null = off or locked)
+  let lockedData = null;           // Encrypted data read while locked, opened by unlock()
+
+  // ============================================================================
+  // SMALL HELPERS
+  // ============================================================================
+
+  /**
+   * Turns an IndexedDB request into a Promise
+   * @param {IDBRequest} req - Request (e.g. from store.get)
+   * @returns {Promise} Resolves with the request's result
+   */
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Waits for an IndexedDB transaction to finish
+   * @param {IDBTransaction} tx - Transaction
+   * @returns {Promise} Resolves when every write in it is on disk
+   */
+  function done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Save was cancelled'));
+    });
+  }
+
+  /**
+   * Copies a value the way saving and loading it would (so callers can't
+   * change the cached copy by accident)
+   * @param {*} value - Any JSON-friendly value
+   * @returns {*} Deep copy
+   */
+  function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Reads one localStorage key the way the old app wrote it
+   * Most keys held JSON; the ones in options.rawKeys held plain text
+   * @param {string} key - localStorage key
+   * @returns {*} The value, or undefined if there is none
+   */
+  function readLocal(key) {
+    let raw = null;
+    try { raw = localStorage.getItem(key); } catch {}
+    if (raw == null) return undefined;
+    if (options.rawKeys.includes(key)) return raw;
+
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+
+  /**
+   * Reports a failed save (and makes sure the next save tries again)
+   * @param {Error} e - What went wrong
+   */
+  function fail(e) {
+    const quota = e && (e.name === 'QuotaExceededError' || /quota/i.test(e.message || ''));
+    const message = quota
+      ? 'The browser has run out of storage space for SpendLite'
+      : `Saving failed (${(e && (e.message || e.name)) || 'unknown error'})`;
+    errorHandler(message);
+  }
+
+  /**
+   * Adds a write to the queue so writes happen in the order they were asked for
+   * @param {Function} write - Async function doing the write
+   * @returns {Promise} Resolves when this write has finished (never rejects)
+   */
+  function enqueue(write) {
+    queue = queue.then(write).catch(fail);
+    return queue;
+  }
+
+  // ============================================================================
+  // ENCRYPTION (VAULT)
+  // ============================================================================
+
+  /**
+   * Checks the browser can encrypt (WebCrypto needs https or localhost)
+   * @returns {boolean} True if the vault can be used
+   */
+  function cryptoAvailable() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  /**
+   * Makes the two vault keys from a passphrase
+   * One key encrypts values (AES-GCM), the other hides transaction ids (HMAC)
+   * @param {string} passphrase - The user's passphrase
+   * @param {Uint8Array} salt - Random bytes saved with the vault
+   * @param {number} iterations - PBKDF2 rounds
+   * @returns {Promise<Object>} {aes, mac} CryptoKeys (they can't be read back out)
+   */
+  async function deriveKeys(passphrase, salt, iterations) {
+    const base = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, 512));
+
+    const [aes, mac] = await Promise.all([
+      crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+      crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    ]);
+    return { aes, mac };
+  }
+
+  /**
+   * Encrypts a value
+   * @param {*} value - Any JSON-friendly value
+   * @param {Object} keys - Vault keys
+   * @returns {Promise<Object>} {vault: 1, iv, data} ready to save
+   */
+  async function encrypt(value, keys) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plain = new TextEncoder().encode(JSON.stringify(value));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.aes, plain);
+    return { vault: 1, iv, data };
+  }
+
+  /**
+   * Decrypts a value made by encrypt()
+   * Fails (rejects) if the key is wrong or the data was changed
+   * @param {Object} sealed - {vault: 1, iv, data}
+   * @param {Object} keys - Vault keys
+   * @returns {Promise<*>} The original value
+   */
+  async function decrypt(sealed, keys) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, keys.aes, sealed.data);
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  /**
+   * Works out the IndexedDB key for a transaction
+   * In vault mode the id is replaced by a keyed hash, because ids can
+   * contain bank ids and account names
+   * @param {string} id - Transaction id
+   * @returns {Promise<string>} Key to save the record under
+   */
+  async function recordKey(id) {
+    if (!vaultKeys) return id;
+    const sig = await crypto.subtle.sign('HMAC', vaultKeys.mac, new TextEncoder().encode(id));
+    return Array.from(new Uint8Array(sig), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Prepares a setting for saving (encrypted in vault mode)
+   * Internal settings (names starting "__") are never encrypted
+   * @param {string} key - Setting name
+   * @param {*} value - Value
+   * @returns {Promise<*>} Value to save
+   */
+  async function sealSetting(key, value) {
+    return vaultKeys && !key.startsWith('__') ? encrypt(value, vaultKeys) : value;
+  }
+
+  /**
+   * Prepares a transaction for saving (encrypted in vault mode)
+   * @param {number} seq - Position in the list
+   * @param {Object} txn - Transaction
+   * @returns {Promise<Object>} {key, value} to save
+   */
+  async function sealTxn(seq, txn) {
+    const record = { seq, txn };
+    return {
+      key: await recordKey(txn.id),
+      value: vaultKeys ? await encrypt(record, vaultKeys) : record
+    };
+  }
+
+  /**
+   * Opens a saved setting or transaction record (decrypts it if needed)
+   * @param {*} saved - Value as read from IndexedDB
+   * @returns {Promise<*>} The plain value
+   */
+  async function unseal(saved) {
+    return saved && saved.vault === 1 ? decrypt(saved, vaultKeys) : saved;
+  }
+
+  /**
+   * Writes settings and transactions in one IndexedDB transaction
+   * Everything is encrypted first, because IndexedDB transactions close
+   * as soon as we wait for anything else
+   * @param {Object} data - What to write
+   * @param {Array} data.settings - [key, value] pairs
+   * @param {Array} data.txns - Transactions to write (with their positions as seq)
+   * @param {boolean} data.clear - Empty both stores first (rewrite everything)
+   */
+  async function writeAll({ settings: entries = [], txns: list = [], clear = false }) {
+    const sealedSettings = await Promise.all(entries.map(async ([k, v]) => [k, await sealSetting(k, v)]));
+    const sealedTxns = await Promise.all(list.map((t, seq) => sealTxn(seq, t)));
+
+    const tx = db.transaction([SETTINGS, TXNS], 'readwrite');
+    const settingStore = tx.objectStore(SETTINGS);
+    const txnStore = tx.objectStore(TXNS);
+    if (clear) {
+      settingStore.clear();
+      txnStore.clear();
+    }
+    sealedSettings.forEach(([k, v]) => settingStore.put(v, k));
+    sealedTxns.forEach(r => txnStore.put(r.value, r.key));
+    await done(tx);
+  }
+
+  // ============================================================================
+  // OPENING THE DATABASE
+  // ============================================================================
+
+  /**
+   * Opens (or creates) the IndexedDB database
+   * @returns {Promise<IDBDatabase>} Open connection
+   */
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+      // Runs the first time, and whenever DB_VERSION goes up
+      req.onupgradeneeded = () => {
+        const idb = req.result;
+        if (!idb.objectStoreNames.contains(SETTINGS)) idb.createObjectStore(SETTINGS);
+        if (!idb.objectStoreNames.contains(TXNS)) idb.createObjectStore(TXNS);
+      };
+
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('SpendLite is open in another tab with an older version'));
+    });
+  }
+
+  /**
+   * Reads every setting and transaction from IndexedDB
+   * When the vault is on, the data stays encrypted until unlock()
+   */
+  async function loadFromDb() {
+    const tx = db.transaction([SETTINGS, TXNS], 'readonly');
+    const settingStore = tx.objectStore(SETTINGS);
+    const [keys, values, records] = await Promise.all([
+      request(settingStore.getAllKeys()),
+      request(settingStore.getAll()),
+      request(tx.objectStore(TXNS).getAll())
+    ]);
+
+    const vaultIndex = keys.indexOf(VAULT_KEY);
+    vault = vaultIndex === -1 ? null : values[vaultIndex];
+    lockedData = { keys, values, records };
+    if (!vault) await openData();
+  }
+
+  /**
+   * Fills the in-memory copy from the data read by loadFromDb()
+   * (decrypting it first in vault mode)
+   */
+  async function openData() {
+    const { keys, values, records } = lockedData;
+    const opened = await Promise.all(values.map(unseal));
+    const rows = await Promise.all(records.map(unseal));
+
+    settings.clear();
+    keys.forEach((key, i) => {
+      if (key !== VAULT_KEY) settings.set(key, opened[i]);
+    });
+
+    // Records come back sorted by key, so put them back in their saved order
+    rows.sort((a, b) => a.seq - b.seq);
+    txns = rows.map(r => r.txn);
+    savedTxnJson = new Map(txns.map(t => [t.id, JSON.stringify(t)]));
+    lockedData = null;
+  }
+
+  /**
+   * Reads everything from localStorage into memory (when IndexedDB isn't available)
+   */
+  function loadFromLocalStorage() {
+    settings.clear();
+    for (const key of options.keys) {
+      if (key === options.txnsKey) continue;
+      const value = readLocal(key);
+      if (value !== undefined) settings.set(key, value);
+    }
+
+    const saved = readLocal(options.txnsKey);
+    txns = Array.isArray(saved) ? saved : [];
+  }
+
+  // ============================================================================
+  // MIGRATIONS
+  // ============================================================================
+
+  /**
+   * Migration 1: copies the old localStorage keys into IndexedDB,
+   * then removes the settings from localStorage to free up its space.
+   * The transaction keys stay: Advanced mode reads them (the app rewrites
+   * that copy each time Advanced mode is opened)
+   */
+  async function migrateFromLocalStorage() {
+    const entries = [];
+    let list = [];
+
+    for (const key of options.keys) {
+      if (key === options.txnsKey) continue;
+      const value = readLocal(key);
+      if (value !== undefined) entries.push([key, value]);
+    }
+
+    // Transactions: the current key, or an older copy if that's all there is
+    const txnKeys = [options.txnsKey, ...options.legacyTxnKeys];
+    const sourceKey = txnKeys.find(k => Array.isArray(readLocal(k)));
+    if (sourceKey && !txns.length) {
+      // Old saves may have no ids yet (ids are the keys in IndexedDB)
+      list = options.prepareTxns(readLocal(sourceKey).filter(Boolean)).filter(t => t.id);
+    }
+
+    await writeAll({ settings: entries, txns: list });
+
+    entries.forEach(([key, value]) => settings.set(key, value));
+    if (list.length) {
+      txns = list;
+      savedTxnJson = new Map(txns.map(t => [t.id, JSON.stringify(t)]));
+    }
+
+    // Only clear localStorage once everything is safely in IndexedDB
+    try {
+      entries.forEach(([key]) => localStorage.removeItem(key));
+    } catch {}
+  }
+
+  /**
+   * Runs any migrations newer than the saved data
+   */
+  async function runMigrations() {
+    const current = Number(settings.get(DATA_VERSION_KEY)) || 0;
+
+    for (const m of MIGRATIONS) {
+      if (m.version <= current) continue;
+      await m.run();
+
+      settings.set(DATA_VERSION_KEY, m.version);
+      const tx = db.transaction(SETTINGS, 'readwrite');
+      tx.objectStore(SETTINGS).put(m.version, DATA_VERSION_KEY);
+      await done(tx);
+    }
+  }
+
+  // ============================================================================
+  // PUBLIC FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Opens the store and reads everything into memory
+   * Must finish before the app reads any settings
+   *
+   * @param {Object} opts - Configuration object
+   * @param {Array} opts.keys - Every setting name the app uses (the old localStorage keys)
+   * @param {string} opts.txnsKey - The key transactions were saved under
+   * @param {Array} opts.rawKeys - Keys the old app saved as plain text rather than JSON
+   * @param {Array} opts.legacyTxnKeys - Older keys that may also hold transactions
+   * @param {Function} opts.prepareTxns - Gives migrated transactions their ids (returns the list)
+   * @returns {Promise<string>} 'indexeddb' or 'localStorage' (which one is in use)
+   */
+  async function open(opts) {
+    options = Object.assign({ keys: [], txnsKey: '', rawKeys: [], legacyTxnKeys: [], prepareTxns: list => list }, opts);
+
+    try {
+      if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+      db = await openDb();
+      await loadFromDb();
+
+      // A locked vault runs its migrations once unlocked
+      if (!isLocked()) await runMigrations();
+    } catch (e) {
+      // Private browsing in some browsers, or a very old browser: keep using localStorage
+      db = null;
+      vault = null;
+      loadFromLocalStorage();
+    }
+
+    return backend();
+  }
+
+  /**
+   * Which storage is in use
+   * @returns {string} 'indexeddb' or 'localStorage'
+   */
+  function backend() {
+    return db ? 'indexeddb' : 'localStorage';
+  }
+
+  /**
+   * Reads a setting (instantly, from memory)
+   * @param {string} key - Setting name
+   * @param {*} fallback - Value to return if nothing is saved
+   * @returns {*} A copy of the saved value, or the fallback
+   */
+  function get(key, fallback) {
+    return settings.has(key) ? copy(settings.get(key)) : fallback;
+  }
+
+  /**
+   * Saves a setting
+   * Memory is updated straight away; the disk write follows in the background
+   * @param {string} key - Setting name
+   * @param {*} value - Any JSON-friendly value
+   * @returns {Promise} Resolves when the write has finished
+   */
+  function set(key, value) {
+    if (isLocked()) return queue;   // Never overwrite the encrypted data
+
+    const saved = copy(value);
+    settings.set(key, saved);
+
+    return enqueue(async () => {
+      if (db) {
+        await writeAll({ settings: [[key, saved]] });
+      } else {
+        const raw = options.rawKeys.includes(key) && typeof saved === 'string' ? saved : JSON.stringify(saved);
+        localStorage.setItem(key, raw);
+      }
+    });
+  }
+
+  /**
+   * Reads the saved transactions
+   * @returns {Array} Copy of the saved transactions, in their saved order
+   */
+  function getTxns() {
+    return copy(txns);
+  }
+
+  /**
+   * Saves the transactions, writing only the ones that were added, changed or removed
+   * (localStorage can't do that, so there the whole list is written)
+   * @param {Array} list - Every transaction (each must have an id)
+   * @returns {Promise} Resolves when the write has finished
+   */
+  function saveTxns(list) {
+    if (isLocked()) return queue;   // Never overwrite the encrypted data
+
+    const current = list.filter(t => t && t.id);
+    const json = current.map(t => JSON.stringify(t));
+
+    // Work out what changed since the last save
+    const changed = [];
+    current.forEach((t, seq) => {
+      const prev = savedTxnJson.get(t.id);
+      const moved = txns[seq] ? txns[seq].id !== t.id : true;
+      if (resyncTxns || prev !== json[seq] || moved) changed.push({ seq, t, json: json[seq] });
+    });
+    const keep = new Set(current.map(t => t.id));
+    const removed = [...savedTxnJson.keys()].filter(id => !keep.has(id));
+    const fullRewrite = resyncTxns;
+
+    if (!changed.length && !removed.length) return queue;
+
+    // Update memory now, so the next save compares against this one
+    txns = current.map((t, i) => JSON.parse(json[i]));
+    savedTxnJson = new Map(current.map((t, i) => [t.id, json[i]]));
+    resyncTxns = false;
+
+    return enqueue(async () => {
+      try {
+        if (db) {
+          // Encrypt (in vault mode) before opening the IndexedDB transaction
+          const removedKeys = await Promise.all(removed.map(recordKey));
+          const rows = await Promise.all(changed.map(c => sealTxn(c.seq, JSON.parse(c.json))));
+
+          const tx = db.transaction(TXNS, 'readwrite');
+          const store = tx.objectStore(TXNS);
+          if (fullRewrite) store.clear();
+          removedKeys.forEach(key => store.delete(key));
+          rows.forEach(r => store.put(r.value, r.key));
+          await done(tx);
+        } else {
+          localStorage.setItem(options.txnsKey, `[${json.join(',')}]`);
+        }
+      } catch (e) {
+        resyncTxns = true;   // Don't trust what's on disk; write everything next time
+        throw e;
+      }
+    });
+  }
+
+  // ============================================================================
+  // VAULT (PUBLIC)
+  // ============================================================================
+
+  /**
+   * Checks whether the vault can be turned on here
+   * It needs IndexedDB (not the localStorage fallback) and WebCrypto
+   * @returns {boolean} True if supported
+   */
+  function vaultSupported() {
+    return !!db && cryptoAvailable();
+  }
+
+  /**
+   * Reports the vault's state
+   * @returns {string} 'off', 'locked' or 'unlocked'
+   */
+  function vaultState() {
+    if (!vault) return 'off';
+    return vaultKeys ? 'unlocked' : 'locked';
+  }
+
+  /**
+   * Checks whether the vault is on but not yet unlocked
+   * @returns {boolean} True if locked
+   */
+  function isLocked() {
+    return !!vault && !vaultKeys;
+  }
+
+  /**
+   * Tests a passphrase against the vault
+   * @param {string} passphrase - Passphrase to test
+   * @returns {Promise<Object|null>} The vault keys if it's right, null if not
+   */
+  async function keysFor(passphrase) {
+    if (!vault) return null;
+    const keys = await deriveKeys(passphrase, vault.salt, vault.iterations);
+    try {
+      return (await decrypt(vault.check, keys)) === VAULT_CHECK ? keys : null;
+    } catch {
+      return null;   // AES-GCM refuses to decrypt with the wrong key
+    }
+  }
+
+  /**
+   * Unlocks the vault and reads the saved data into memory
+   * @param {string} passphrase - The vault passphrase
+   * @returns {Promise<boolean>} True if the passphrase was right
+   */
+  async function unlock(passphrase) {
+    if (!isLocked()) return true;
+
+    const keys = await keysFor(passphrase);
+    if (!keys) return false;
+
+    vaultKeys = keys;
+    await openData();
+    await runMigrations();
+    return true;
+  }
+
+  /**
+   * Checks a passphrase without changing anything
+   * @param {string} passphrase - Passphrase to test
+   * @returns {Promise<boolean>} True if it's the vault passphrase
+   */
+  async function checkPassphrase(passphrase) {
+    return !!(await keysFor(passphrase));
+  }
+
+  /**
+   * Rewrites everything on disk with the current keys
+   * (used when the vault is turned on or off, or the passphrase changes)
+   */
+  function rewriteEverything() {
+    return enqueue(async () => {
+      const entries = [...settings.entries()];
+      if (vault) entries.push([VAULT_KEY, vault]);
+      await writeAll({ settings: entries, txns, clear: true });
+    });
+  }
+
+  /**
+   * Turns the vault on, or changes its passphrase if it's already on
+   * Everything saved is re-encrypted with the new passphrase
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise} Resolves when everything has been rewritten
+   */
+  async function setPassphrase(passphrase) {
+    if (!vaultSupported()) throw new Error('This browser cannot encrypt SpendLite data');
+    if (isLocked()) throw new Error('Unlock the vault first');
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const keys = await deriveKeys(passphrase, salt, VAULT_ITERATIONS);
+    vault = { salt, iterations: VAULT_ITERATIONS, check: await encrypt(VAULT_CHECK, keys) };
+    vaultKeys = keys;
+
+    return rewriteEverything();
+  }
+
+  /**
+   * Turns the vault off (everything is saved unencrypted again)
+   * @returns {Promise} Resolves when everything has been rewritten
+   */
+  async function disableVault() {
+    if (isLocked()) throw new Error('Unlock the vault first');
+
+    vault = null;
+    vaultKeys = null;
+    return rewriteEverything();
+  }
+
+  /**
+   * Deletes every saved setting and transaction (including the vault)
+   * Works while locked, for when the passphrase is forgotten
+   * @returns {Promise} Resolves when everything is gone
+   */
+  function wipe() {
+    settings.clear();
+    txns = [];
+    savedTxnJson = new Map();
+    vault = null;
+    vaultKeys = null;
+    lockedData = null;
+
+    return enqueue(async () => {
+      if (db) await writeAll({ clear: true });
+      try {
+        [...options.keys, ...options.legacyTxnKeys].forEach(k => localStorage.removeItem(k));
+      } catch {}
+    });
+  }
+
+  /**
+   * Waits for every queued write to finish
+   * @returns {Promise} Resolves when nothing is left to write
+   */
+  function flush() {
+    return queue;
+  }
+
+  /**
+   * Sets the function called when a save fails
+   * @param {Function} fn - Called with a human-readable message
+   */
+  function onError(fn) {
+    errorHandler = typeof fn === 'function' ? fn : () => {};
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the functions to the global scope
+  // This allows script.js to call: SL_Store.get(...), SL_Store.saveTxns(...)
+  window.SL_Store = {
+    open, backend, get, set, getTxns, saveTxns, flush, onError,
+    vaultSupported, vaultState, unlock, checkPassphrase, setPassphrase, disableVault, wipe
+  };
+})();
@@ -0,0 +1,254 @@
+// ============================================================================
+// VAULT MODAL - Passphrase Dialog for the Encrypted Data Vault
+// ============================================================================
+// This module shows the passphrase dialog used by vault mode: the unlock screen
+// when the app loads, and the forms to turn the vault on, change the passphrase
+// or turn it off. The encryption itself lives in store.js.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - IIFE (Immediately Invoked Function Expression): The (function(){...})() pattern
+//   creates a private scope so our variables don't pollute the global namespace
+// - Modes: One dialog, several forms - each mode shows only the fields it needs
+// - Async callbacks: onSubmit returns a Promise, so the dialog can stay open
+//   (showing "Working…") while the slow key derivation runs
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // CONFIGURATION
+  // ============================================================================
+
+  // Shortest passphrase we accept for a new vault
+  const MIN_LENGTH = 8;
+
+  // What each mode shows: title, help text, which fields, button label
+  const MODES = {
+    unlock: {
+      title: '🔒 SpendLite is locked',
+      help: 'Enter your passphrase to open your data.',
+      current: true, next: false, cancel: false, wipe: true,
+      submit: 'Unlock'
+    },
+    enable: {
+      title: 'Turn on the vault',
+      help: 'Your transactions, rules and settings will be encrypted with this passphrase. ' +
+            'There is no way to recover it - if you forget it, the only way back in is to wipe all data.',
+      current: false, next: true, cancel: true, wipe: false,
+      submit: 'Turn on vault'
+    },
+    change: {
+      title: 'Change passphrase',
+      help: 'Everything will be re-encrypted with the new passphrase.',
+      current: true, next: true, cancel: true, wipe: false,
+      submit: 'Change passphrase'
+    },
+    disable: {
+      title: 'Turn off the vault',
+      help: 'Your data will be saved unencrypted again.',
+      current: true, next: false, cancel: true, wipe: false,
+      submit: 'Turn off vault'
+    }
+  };
+
+  // ============================================================================
+  // HTML TEMPLATE
+  // ============================================================================
+
+  // This is the complete HTML structure for the modal
+  // We create it once and reuse it each time the modal opens
+  const tpl = `
+  <div class="vault-backdrop" id="vaultBackdrop" role="dialog" aria-modal="true" aria-labelledby="vaultTitle">
+    <form class="vault-dialog" id="vaultForm" autocomplete="off">
+
+      <!-- Modal Header -->
+      <div class="vault-header">
+        <h2 class="vault-title" id="vaultTitle"></h2>
+      </div>
+
+      <!-- Modal Body -->
+      <div class="vault-body">
+        <p class="vault-help" id="vaultHelp"></p>
+
+        <label class="vault-field" id="vaultCurrentRow">
+          <span>Passphrase</span>
+          <input id="vaultCurrent" class="vault-input" type="password" autocomplete="current-password" />
+        </label>
+
+        <label class="vault-field" id="vaultNextRow">
+          <span id="vaultNextLabel">New passphrase</span>
+          <input id="vaultNext" class="vault-input" type="password" autocomplete="new-password" />
+        </label>
+
+        <label class="vault-field" id="vaultConfirmRow">
+          <span>Type it again</span>
+          <input id="vaultConfirm" class="vault-input" type="password" autocomplete="new-password" />
+        </label>
+
+        <!-- Error message (wrong passphrase, too short, ...) -->
+        <div class="vault-error" id="vaultError" role="alert"></div>
+
+        <!-- Way out when the passphrase is forgotten -->
+        <button type="button" class="vault-wipe" id="vaultWipe">Forgot passphrase? Wipe all data</button>
+      </div>
+
+      <!-- Modal Actions (buttons) -->
+      <div class="vault-actions">
+        <button type="button" class="vault-btn" id="vaultCancel">Cancel</button>
+        <button type="submit" class="vault-btn primary" id="vaultSubmit"></button>
+      </div>
+
+    </form>
+  </div>`;
+
+  // ============================================================================
+  // MODAL INITIALIZATION
+  // ============================================================================
+
+  /**
+   * Ensures the modal HTML exists in the page
+   * Only creates it once, even if called multiple times
+   */
+  function ensureModal() {
+    // Check if modal already exists
+    if (document.getElementById('vaultBackdrop')) return;
+
+    // Create a temporary container
+    const wrap = document.createElement('div');
+    wrap.innerHTML = tpl;
+
+    // Add the modal to the page body
+    document.body.appendChild(wrap.firstElementChild);
+  }
+
+  // ============================================================================
+  // MAIN MODAL FUNCTION (PUBLIC API)
+  // ============================================================================
+
+  /**
+   * Opens the passphrase dialog
+   * This is the main function called from outside this module
+   *
+   * @param {Object} options - Configuration object
+   * @param {string} options.mode - 'unlock', 'enable', 'change' or 'disable'
+   * @param {Function} options.onSubmit - Called as onSubmit({current, next}); returns a
+   *   Promise of an error message to show, or null/'' to close the dialog
+   * @param {Function} options.onCancel - Called when the dialog is cancelled (optional)
+   * @param {Function} options.onWipe - Called when "Wipe all data" is clicked (unlock mode)
+   */
+  function openVaultDialog({mode, onSubmit, onCancel, onWipe}) {
+    const cfg = MODES[mode];
+    if (!cfg) return;
+
+    // Ensure modal exists in the DOM
+    ensureModal();
+
+    // Get references to modal elements
+    const backdrop = document.getElementById('vaultBackdrop');
+    const form = document.getElementById('vaultForm');
+    const current = document.getElementById('vaultCurrent');
+    const next = document.getElementById('vaultNext');
+    const confirmBox = document.getElementById('vaultConfirm');
+    const error = document.getElementById('vaultError');
+    const btnSubmit = document.getElementById('vaultSubmit');
+    const btnCancel = document.getElementById('vaultCancel');
+    const btnWipe = document.getElementById('vaultWipe');
+
+    // Show only the parts this mode needs
+    document.getElementById('vaultTitle').textContent = cfg.title;
+    document.getElementById('vaultHelp').textContent = cfg.help;
+    document.getElementById('vaultCurrentRow').style.display = cfg.current ? '' : 'none';
+    document.getElementById('vaultNextRow').style.display = cfg.next ? '' : 'none';
+    document.getElementById('vaultConfirmRow').style.display = cfg.next ? '' : 'none';
+    document.getElementById('vaultNextLabel').textContent = cfg.current ? 'New passphrase' : 'Passphrase';
+    btnCancel.style.display = cfg.cancel ? '' : 'none';
+    btnWipe.style.display = cfg.wipe ? '' : 'none';
+    btnSubmit.textContent = cfg.submit;
+
+    // The unlock screen hides the app completely
+    backdrop.classList.toggle('locked', mode === 'unlock');
+
+    [current, next, confirmBox].forEach(input => { input.value = ''; });
+    error.textContent = '';
+
+    // ============================================================================
+    // MODAL CONTROLS
+    // ============================================================================
+
+    /**
+     * Turns the buttons off while the passphrase is being checked
+     * @param {boolean} busy - True while working
+     */
+    const setBusy = (busy) => {
+      btnSubmit.disabled = busy;
+      btnCancel.disabled = busy;
+      btnWipe.disabled = busy;
+      btnSubmit.textContent = busy ? 'Working…' : cfg.submit;
+    };
+
+    /**
+     * Closes the modal and clears the passphrase fields
+     */
+    const close = () => {
+      backdrop.classList.remove('show');
+      [current, next, confirmBox].forEach(input => { input.value = ''; });
+    };
+
+    // Cancel button closes modal without changes
+    btnCancel.onclick = () => {
+      close();
+      onCancel && onCancel();
+    };
+
+    btnWipe.onclick = () => onWipe && onWipe();
+
+    // Submit (button or Enter key) checks the fields, then hands over to the caller
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+
+      if (cfg.current && !current.value) {
+        error.textContent = 'Enter your passphrase.';
+        return;
+      }
+      if (cfg.next && next.value.length < MIN_LENGTH) {
+        error.textContent = `Use at least ${MIN_LENGTH} characters.`;
+        return;
+      }
+      if (cfg.next && next.value !== confirmBox.value) {
+        error.textContent = "The two passphrases don't match.";
+        return;
+      }
+
+      error.textContent = '';
+      setBusy(true);
+      let message = '';
+      try {
+        message = await onSubmit({ current: current.value, next: next.value });
+      } catch (err) {
+        message = (err && err.message) || 'Something went wrong';
+      }
+      setBusy(false);
+
+      if (message) {
+        error.textContent = message;
+        current.value = '';
+        (cfg.current ? current : next).focus();
+      } else {
+        close();
+      }
+    };
+
+    // Show the modal
+    backdrop.classList.add('show');
+
+    // Focus the first field after a short delay (for better UX)
+    setTimeout(() => (cfg.current ? current : next).focus(), 50);
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the main function to the global scope
+  // This allows script.js to call: SL_Vault.openVaultDialog(...)
+  window.SL_Vault = { openVaultDialog };
+})();